@@ -12,21 +12,123 @@ class MultiTrackPlayer extends EventTarget {
     masterGainNode;
 
     /**
-     * Stores track data: { gainNode: GainNode, cells: Map<number, AudioBuffer|{open: AudioBuffer, slap: AudioBuffer, slapMultiplier?: number}>, _isMuted: boolean, _lastVolume: number }
-     * The 'cells' map can now store either a single AudioBuffer or an object containing 'open' and 'slap' AudioBuffers, plus an optional 'slapMultiplier'.
-     * @type {Map<string, { gainNode: GainNode, cells: Map<number, AudioBuffer|{open: AudioBuffer, slap: AudioBuffer, slapMultiplier?: number}>, _isMuted: boolean, _lastVolume: number }>}
+     * The master volume last set. Kept apart from masterGainNode's gain, whose value only follows a scheduled change
+     * once the audio clock reaches it.
+     * @type {number}
+     */
+    _masterVolume = 1.0;
+
+    /**
+     * Stores track data: { gainNode: GainNode, cells: Map<number, string|AudioBuffer|{layers: Array<Object>}|{open: AudioBuffer, slap: AudioBuffer, slapMultiplier?: number}>, nudges: Map<number, number>, velocities: Map<number, number>, cycle: {columns: number, subdivisionNoteValue: number}|null, playMode: string, chokeGroup: string|null, chokeFadeTime: number, inserts: Object, insertSettings: Object, sends: Object, sendLevels: Object, meter: AnalyserNode, _isMuted: boolean, _isSoloed: boolean, _lastVolume: number }
+     * The 'cells' map can store a registered sample ID, a single AudioBuffer, a hit descriptor with layers (each a buffer or a sample ID), or the older object containing 'open' and 'slap' AudioBuffers, plus an optional 'slapMultiplier'.
+     * The 'nudges' map holds per-cell timing offsets as a fraction of the cell duration.
+     * The 'velocities' map holds per-cell velocities (0.0 to 1.0); cells without an entry play at full velocity.
+     * The 'sends' map holds the track's post-fader send gains into the shared effect buses ('reverb', 'delay').
+     * The 'meter' taps the track after its volume and pan, for level metering.
+     * @type {Map<string, { gainNode: GainNode, cells: Map<number, string|AudioBuffer|{layers: Array<Object>}|{open: AudioBuffer, slap: AudioBuffer, slapMultiplier?: number}>, nudges: Map<number, number>, velocities: Map<number, number>, cycle: {columns: number, subdivisionNoteValue: number}|null, playMode: string, chokeGroup: string|null, chokeFadeTime: number, inserts: Object, insertSettings: Object, sends: Object, sendLevels: Object, meter: AnalyserNode, _isMuted: boolean, _isSoloed: boolean, _lastVolume: number }>}
      */
     _tracks = new Map();
 
-    _bpm = 120;
+    /**
+     * Registered samples by ID. Cells can refer to a sample by its ID rather than hold its AudioBuffer,
+     * so replacing the sample changes every hit that uses it.
+     * @type {Map<string, AudioBuffer>}
+     */
+    _samples = new Map();
+
+    /**
+     * How many cells refer to each registered sample by ID (directly or in one of their layers), kept up to date
+     * as cells are placed and removed, so listing and releasing samples does not scan the grid.
+     * IDs no cell refers to have no entry.
+     * @type {Map<string, number>}
+     */
+    _sampleReferences = new Map();
+
+    /**
+     * IDs of samples whose audio is still loading in registerSample(), reserved so a second registration fails.
+     * @type {Set<string>}
+     */
+    _pendingSampleIds = new Set();
+
+    /**
+     * The latest replaceSample() call of each sample whose new audio is still loading. A load that resolves after
+     * it was superseded, or after the sample was unregistered, is dropped.
+     * @type {Map<string, Object>}
+     */
+    _pendingReplacements = new Map();
+
+    /**
+     * Trim points and fades of registered samples, by ID, applied whenever a hit plays the sample by ID.
+     * Samples without an entry play whole.
+     * @type {Map<string, {start: number, end: number, fadeIn: number, fadeOut: number}>}
+     */
+    _sampleTrims = new Map();
+    static _ONSET_THRESHOLD_DB = -30; // An onset is the first moment within this many dB of the sample's peak
+    static _ONSET_PRE_ROLL = 0.002; // Seconds kept before a detected onset, so the attack itself is not cut
+
+    /**
+     * Synthesized voices rendered so far, by their settings, so each is only synthesized once.
+     * @type {Map<string, AudioBuffer>}
+     */
+    _voiceBuffers = new Map();
+    static _VOICE_PARAMETERS = {
+        pitch: { min: 20, max: 2000, default: 200 }, // Fundamental of the drum head, in Hz
+        decay: { min: 0.02, max: 4, default: 0.4 }, // Seconds for the tone to die away (-60 dB)
+        bend: { min: 0, max: 4, default: 0.5 }, // How far above the fundamental the pitch starts, as a ratio (0 = no bend)
+        noise: { min: 0, max: 1, default: 0.1 }, // Share of the noise burst in the mix (0 = pure tone, 1 = pure noise)
+        noiseDecay: { min: 0.005, max: 1, default: 0.05 } // Seconds for the noise burst to die away (-60 dB)
+    };
+
+    _bpm = 120; // Base tempo, used when playback starts from the beginning
+    _currentBpm = 120; // Live tempo used by the scheduler; follows the tempo map during playback
     _timeSignatureNumerator = 4;
     _timeSignatureDenominator = 4;
     _subdivisionNoteValue = 16; // e.g., 4 for quarter, 8 for eighth, 16 for sixteenth, 32 for thirty-second
     _loop = true;
+    _swing = 0; // 0 = straight, 1 = full triplet feel on every second cell
+
+    /**
+     * Saved groove templates: per-column timing offsets as a fraction of the cell duration.
+     * A template shorter than a measure repeats (e.g., a 4-step template covers every beat of 16ths).
+     * @type {Map<string, number[]>}
+     */
+    _grooves = new Map();
+    _activeGroove = null; // Name of the groove template applied at scheduling time, or null
+    _patternMeasures = 1; // Number of measures in the pattern grid
+
+    /**
+     * Named sections of the pattern, as measure ranges (0-based, measureCount measures long).
+     * @type {Map<string, {startMeasure: number, measureCount: number}>}
+     */
+    _sections = new Map();
+
+    /**
+     * Ordered arrangement walked by the scheduler. An empty arrangement plays the whole pattern.
+     * @type {Array<{section: string, repeats: number}>}
+     */
+    _arrangement = [];
+    _arrangementIndex = 0; // Index of the arrangement entry being played
+    _sectionRepeat = 0; // Current repeat (0-based) of the arrangement entry being played
+    _currentSection = null; // Name of the section being played, null without an arrangement
+    _passCount = 0; // Number of times the sequence has looped back to its start
+
+    /**
+     * Tempo map events on the playback timeline (measures counted from the start of playback, across
+     * arrangement repeats and loops), sorted by position. An event either sets the tempo instantly
+     * or ramps from the tempo in effect to a target BPM over a number of measures.
+     * @type {Array<{measure: number, column: number, bpm: number, rampMeasures: number, curve: 'linear'|'exponential'}>}
+     */
+    _tempoMap = [];
+    _elapsedCells = 0; // Number of cells scheduled since playback started from the beginning
+    _elapsedTime = 0; // Seconds of sequence scheduled since playback started from the beginning
+    _activeRamp = null; // { startCell, endCell, startBpm, targetBpm, curve } while a tempo ramp is running
+    _appliedTempoEvent = null; // The tempo map event that took effect last, so each event takes effect once
 
     _isPlaying = false;
     _isPaused = false;
-    _playbackTime = 0; // Current time in the sequence (in seconds from start)
+    _positionCued = false; // True when seek() moved the position while stopped; play() starts from there
+    _resumeOffset = 0; // Seconds into the next cell at which paused or cued playback resumes
+    _resumeTime = -Infinity; // audioContext time playback last resumed mid-sequence; hits due before it play from their offset
 
     _currentCellIndex = -1; // Current column index being played
     _nextCellTime = 0; // audioContext.currentTime when the next cell should start
@@ -35,7 +137,63 @@ class MultiTrackPlayer extends EventTarget {
     _lookAheadTime = 0.1; // seconds, how far ahead to schedule audio
     _scheduleInterval = 0.05; // seconds, how often to check for new notes to schedule
 
-    _scheduledSources = new Set(); // Keep track of scheduled sources to stop them
+    /**
+     * Scheduled or playing sources, with the cell they were scheduled for, so they can be stopped later.
+     * Each also keeps its start time, gain node and level so a later hit can choke it with a fade.
+     * Metronome clicks are kept here too (with a null trackId), so they stop with everything else.
+     * @type {Map<AudioScheduledSourceNode, {trackId: string|null, columnIndex: number, time: number, startTime: number, gainNode: GainNode, level: number, chokedAt?: number}>}
+     */
+    _scheduledSources = new Map();
+
+    /**
+     * Cells already scheduled inside the look-ahead window (and the one currently sounding), so live grid
+     * edits can be re-scheduled and pause can find the audible position. Each entry keeps the transport
+     * state from just before the scheduler advanced into the cell, and a description of the cell.
+     * @type {Array<{columnIndex: number, elapsedCells: number, time: number, duration: number, stateBefore: Object, position: Object}>}
+     */
+    _scheduledCells = [];
+
+    /**
+     * Shared send effect buses, each fed by the tracks' send gains and returned to the master:
+     * a convolution reverb and a tempo-synced feedback delay.
+     * @type {{reverb: {input: GainNode, convolver: ConvolverNode, return: GainNode}, delay: {input: GainNode, delay: DelayNode, feedback: GainNode, return: GainNode}}}
+     */
+    _sendBuses = null;
+    _reverbSettings = { duration: 1.5, decay: 3, impulse: null }; // impulse is a user-loaded AudioBuffer, or null for the generated room
+    _delaySettings = { cells: 3, feedback: 0.35 }; // Delay time in grid cells, so it follows the tempo
+    _delayTime = 0; // Delay time last applied, in seconds
+    _returnLevels = { reverb: 1.0, delay: 1.0 };
+    static _MAX_DELAY_TIME = 4; // seconds
+
+    _metronome = { enabled: false, volume: 0.5, beatsPerClick: 1 };
+    _metronomeGainNode = null; // Metronome and count-in clicks -> this -> master
+    static _CLICK_TONES = {
+        accent: { frequency: 1760, level: 1.0 }, // Downbeat
+        beat: { frequency: 880, level: 0.6 },
+        cue: { frequency: 2637, level: 1.0 } // Last beat of the count-in
+    };
+
+    _countIn = { length: 0, unit: 'bars' }; // No count-in by default
+    _countInTicks = []; // Count-in clicks of the current play() still to schedule: { tick, ticks, beat, isFinal, time }
+
+    /**
+     * Master output stage after masterGainNode: a brickwall-style compressor, then a soft clipper that rounds off
+     * the transients the compressor is too slow to catch. The meter taps the mix before the stage to count clips.
+     * isEngaged tells whether masterGainNode feeds the compressor (limiter enabled) or the clipper directly.
+     * @type {{compressor: DynamicsCompressorNode, clipper: WaveShaperNode, meter: AnalyserNode, isEngaged: boolean}}
+     */
+    _masterLimiter = null;
+    _limiterSettings = { enabled: false, threshold: -1, release: 0.1 }; // threshold in dB, release in seconds
+    _clipCount = 0; // Scheduler ticks in which the mix went over 0 dBFS, since the last reset
+    _clipMeterData = null;
+
+    _outputMeter = null; // AnalyserNode on the master output, after the limiter
+    _meterData = null; // Shared sample buffer for reading the meters (all use the default fftSize)
+    _peakHolds = new Map(); // Meter key ('master' or a track ID) -> { peak: number, time: number }
+    static _PEAK_HOLD_TIME = 1.5; // seconds a peak is held before the hold falls back
+    _levelsInterval = 0.1; // seconds, how often the 'levels' event is emitted
+    _lastLevelsTime = -Infinity;
+    _levelsActive = false; // Stays true after playback until the meters have fallen silent
 
     /**
      * Creates an instance of MultiTrackPlayer.
@@ -46,22 +204,26 @@ class MultiTrackPlayer extends EventTarget {
         this.audioContext = audioContext;
 
         this.masterGainNode = this.audioContext.createGain();
-        this.masterGainNode.connect(this.audioContext.destination);
+        this._createMasterLimiter();
         this.setMasterVolume(1.0); // Default master volume
+        this._createSendBuses();
+        this._metronomeGainNode = this.audioContext.createGain();
+        this._metronomeGainNode.gain.value = this._metronome.volume;
+        this._metronomeGainNode.connect(this.masterGainNode);
 
         this._startScheduler();
     }
 
     /**
      * Calculates the duration of a single grid cell in seconds.
-     * Based on BPM and the subdivision note value.
+     * Based on the current (live) BPM and the subdivision note value.
      * @returns {number} The duration of one cell in seconds.
      * @private
      */
     _calculateCellDuration() {
         // A whole note at 60 BPM is 4 seconds.
         // So, a whole note at X BPM is (60 / X) * 4 seconds, or 240 / X seconds.
-        const secondsPerWholeNote = 240 / this._bpm;
+        const secondsPerWholeNote = 240 / this._currentBpm;
         // The duration of one cell is the duration of a whole note divided by its note value.
         return secondsPerWholeNote / this._subdivisionNoteValue;
     }
@@ -72,7 +234,7 @@ class MultiTrackPlayer extends EventTarget {
      * @returns {number} The total number of columns in a measure.
      * @private
      */
-    _getMaxColumns() {
+    _getColumnsPerMeasure() {
         // Calculate the total number of 'subdivisionNoteValue' notes that fit into one measure.
         // Example: 4/4 time, 16th note subdivision (value 16)
         // Numerator = 4, Denominator = 4, SubdivisionNoteValue = 16
@@ -85,6 +247,155 @@ class MultiTrackPlayer extends EventTarget {
         return totalSubdivisionNotesInMeasure;
     }
 
+    /**
+     * Determines the total number of columns (cells) in the whole pattern,
+     * i.e. one measure's worth of columns times the pattern length in measures.
+     * @returns {number} The total number of columns in the pattern.
+     * @private
+     */
+    _getMaxColumns() {
+        return this._getColumnsPerMeasure() * this._patternMeasures;
+    }
+
+    /**
+     * Resolves the arrangement into the column ranges the scheduler walks through, in order.
+     * Without an arrangement the whole pattern is played once per pass.
+     * Sections reaching past the end of the pattern are clipped to it; empty ranges are skipped.
+     * @returns {Array<{section: string|null, startColumn: number, endColumn: number, repeats: number}>}
+     * @private
+     */
+    _getPlaybackSteps() {
+        const maxColumns = this._getMaxColumns();
+        if (this._arrangement.length === 0) {
+            return [{ section: null, startColumn: 0, endColumn: maxColumns, repeats: 1 }];
+        }
+
+        const columnsPerMeasure = this._getColumnsPerMeasure();
+        const steps = [];
+        this._arrangement.forEach(entry => {
+            const section = this._sections.get(entry.section);
+            if (!section) {
+                return;
+            }
+            const startColumn = section.startMeasure * columnsPerMeasure;
+            const endColumn = Math.min(maxColumns, (section.startMeasure + section.measureCount) * columnsPerMeasure);
+            if (endColumn > startColumn) {
+                steps.push({ section: entry.section, startColumn, endColumn, repeats: entry.repeats });
+            }
+        });
+        return steps;
+    }
+
+    /**
+     * Moves the playback head to the next cell, walking through the arrangement
+     * (section repeats, then the next entry) and wrapping around when looping.
+     * @returns {boolean} False if the end of the sequence was reached and playback should stop.
+     * @private
+     */
+    _advanceCell() {
+        const steps = this._getPlaybackSteps();
+        if (steps.length === 0) {
+            return false;
+        }
+
+        if (this._currentCellIndex === -1) {
+            // Starting from the top of the sequence
+            this._arrangementIndex = 0;
+            this._sectionRepeat = 0;
+            this._currentCellIndex = steps[0].startColumn;
+            this._currentSection = steps[0].section;
+            return true;
+        }
+
+        // The arrangement may have changed since the last cell; keep the index in range
+        this._arrangementIndex = Math.min(this._arrangementIndex, steps.length - 1);
+        let step = steps[this._arrangementIndex];
+        this._currentSection = step.section;
+        this._currentCellIndex++;
+        if (this._currentCellIndex < step.endColumn) {
+            return true;
+        }
+
+        this._sectionRepeat++;
+        if (this._sectionRepeat < step.repeats) {
+            this._currentCellIndex = step.startColumn; // Repeat the same section
+            return true;
+        }
+
+        this._sectionRepeat = 0;
+        this._arrangementIndex++;
+        if (this._arrangementIndex >= steps.length) {
+            if (!this._loop) {
+                return false; // Reached the end and not looping
+            }
+            this._arrangementIndex = 0; // Loop back to start
+            this._passCount++;
+        }
+        step = steps[this._arrangementIndex];
+        this._currentCellIndex = step.startColumn;
+        this._currentSection = step.section;
+        return true;
+    }
+
+    /**
+     * Updates the live tempo for the cell at the given timeline position: applies the latest tempo map event
+     * at or before it, unless that event has already taken effect, and advances a running ramp. That is normally
+     * an event placed exactly there; an event added or changed during playback at a position already passed
+     * takes effect at the next cell instead of never. Called once per cell, before its duration is computed.
+     * @param {number} elapsedCells - The timeline position, in cells since playback started.
+     * @private
+     */
+    _applyTempoMap(elapsedCells) {
+        const columnsPerMeasure = this._getColumnsPerMeasure();
+        const event = this._getLatestTempoEvent(elapsedCells);
+        if (event && event !== this._appliedTempoEvent) {
+            this._appliedTempoEvent = event;
+            if (event.rampMeasures > 0) {
+                this._activeRamp = {
+                    startCell: elapsedCells,
+                    endCell: elapsedCells + event.rampMeasures * columnsPerMeasure,
+                    startBpm: this._currentBpm,
+                    targetBpm: event.bpm,
+                    curve: event.curve
+                };
+            } else {
+                this._activeRamp = null;
+                this._currentBpm = event.bpm;
+            }
+        }
+
+        const ramp = this._activeRamp;
+        if (ramp) {
+            const progress = Math.min(1, (elapsedCells - ramp.startCell) / (ramp.endCell - ramp.startCell));
+            if (ramp.curve === 'exponential') {
+                this._currentBpm = ramp.startBpm * Math.pow(ramp.targetBpm / ramp.startBpm, progress);
+            } else {
+                this._currentBpm = ramp.startBpm + (ramp.targetBpm - ramp.startBpm) * progress;
+            }
+            if (progress >= 1) {
+                this._activeRamp = null;
+            }
+        }
+    }
+
+    /**
+     * Finds the tempo map event in effect at a timeline position: the latest one at or before it.
+     * @param {number} elapsedCells - The timeline position, in cells since playback started.
+     * @returns {Object|null} The event, or null if the tempo map has none that early.
+     * @private
+     */
+    _getLatestTempoEvent(elapsedCells) {
+        const columnsPerMeasure = this._getColumnsPerMeasure();
+        let latest = null;
+        for (const event of this._tempoMap) {
+            if (event.measure * columnsPerMeasure + event.column > elapsedCells) {
+                break; // Sorted by position
+            }
+            latest = event;
+        }
+        return latest;
+    }
+
     /**
      * Starts the internal scheduling loop.
      * @private
@@ -95,6 +406,7 @@ class MultiTrackPlayer extends EventTarget {
         }
         this._schedulerIntervalId = setInterval(() => {
             this._scheduleAudio();
+            this._emitLevels();
         }, this._scheduleInterval * 1000);
     }
 
@@ -119,386 +431,3347 @@ class MultiTrackPlayer extends EventTarget {
         }
 
         const currentTime = this.audioContext.currentTime;
-        const cellDuration = this._calculateCellDuration();
-        const maxColumns = this._getMaxColumns();
+        this._checkClipping();
+
+        // Forget cells that have already ended
+        this._scheduledCells = this._scheduledCells.filter(cell => cell.time + cell.duration >= currentTime);
+
+        // Count-in clicks come before the first cell, which play() has pushed back to start after them
+        while (this._countInTicks.length > 0 && this._countInTicks[0].time < currentTime + this._lookAheadTime) {
+            const tick = this._countInTicks.shift();
+            this._scheduleClick(tick.time, tick.isFinal ? 'cue' : (tick.beat === 1 ? 'accent' : 'beat'));
+            this.dispatchEvent(new CustomEvent('countInTick', { detail: tick }));
+        }
 
         // Schedule notes in the look-ahead window
         while (this._nextCellTime < currentTime + this._lookAheadTime) {
+            const stateBefore = this._getTransportState();
             // Move to the next cell BEFORE dispatching and scheduling
-            this._currentCellIndex++;
-            if (maxColumns > 0 && this._currentCellIndex >= maxColumns) {
-                if (this._loop) {
-                    this._currentCellIndex = 0; // Loop back to start
-                } else {
-                    // Stop if not looping and reached end
-                    this.stop();
-                    return;
-                }
+            if (!this._advanceCell()) {
+                // Stop if not looping and reached end
+                this.stop();
+                return;
             }
 
+            // The tempo can change from one cell to the next (live BPM changes, tempo map)
+            this._applyTempoMap(this._elapsedCells);
+            const cellDuration = this._calculateCellDuration();
+            this._updateDelayTime(cellDuration, this._nextCellTime);
+
             // console.log(`MultiTrackPlayer: Scheduling cell ${this._currentCellIndex} for time ${this._nextCellTime.toFixed(3)}`);
 
             // Dispatch event for the *current* cell being scheduled
+            const position = this._describeCurrentCell();
             this.dispatchEvent(new CustomEvent('gridCellChanged', {
                 detail: {
-                    columnIndex: this._currentCellIndex,
+                    ...position,
                     time: this._nextCellTime // Time when this cell actually starts
                 }
             }));
 
-            // Schedule sounds for the current cell
-            this._tracks.forEach(track => {
-                // Only play if the track is not muted
-                if (!track._isMuted) {
-                    const audioData = track.cells.get(this._currentCellIndex);
-                    if (audioData) {
-                        /**
-                         * Helper function to play an AudioBuffer with a given volume multiplier.
-                         * @param {AudioBuffer} buffer The audio buffer to play.
-                         * @param {number} multiplier The volume multiplier (e.g., 1.0 for normal, 1.25 for boosted).
-                         */
-                        const playBuffer = (buffer, multiplier = 1.0) => {
-                            const source = this.audioContext.createBufferSource();
-                            source.buffer = buffer;
-
-                            // Create a temporary gain node for this specific source to apply multiplier
-                            const tempGainNode = this.audioContext.createGain();
-                            // Set value at current time to avoid scheduling issues with changes to track.gainNode
-                            tempGainNode.gain.setValueAtTime(multiplier, this.audioContext.currentTime);
-
-                            source.connect(tempGainNode);
-                            tempGainNode.connect(track.gainNode); // Connect to the track's main gain node
-
-                            // Store reference to stop it later if needed
-                            this._scheduledSources.add(source);
-                            source.onended = () => {
-                                this._scheduledSources.delete(source);
-                                tempGainNode.disconnect(); // Disconnect temporary gain node when source ends
-                            };
-                            source.start(this._nextCellTime);
-                        };
-
-                        // Check if audioData is an object (for combined sounds) or a single AudioBuffer
-                        if (typeof audioData === 'object' && audioData !== null && audioData.open && audioData.slap) {
-                            // Combined sound: play open at normal volume, slap with specified multiplier
-                            const slapMultiplier = audioData.slapMultiplier !== undefined ? audioData.slapMultiplier : 1.0;
-
-                            if (audioData.open instanceof AudioBuffer) {
-                                playBuffer(audioData.open, 1.0); // Open sound at normal volume
-                            } else {
-                                console.warn("Invalid 'open' AudioBuffer found in combined audio data.");
-                            }
-                            if (audioData.slap instanceof AudioBuffer) {
-                                playBuffer(audioData.slap, slapMultiplier); // Slap sound at specified multiplier
-                            } else {
-                                console.warn("Invalid 'slap' AudioBuffer found in combined audio data.");
-                            }
-                        } else if (audioData instanceof AudioBuffer) {
-                            // Single sound: play at normal volume
-                            playBuffer(audioData, 1.0);
-                        } else {
-                            console.warn("Invalid audio data type found in grid cell:", audioData);
-                        }
-                    }
-                }
-            });
+            // Schedule sounds for the current cell; tracks with their own cycle may have zero or several hits in it
+            for (const trackId of this._tracks.keys()) {
+                this._getTrackHits(trackId, this._currentCellIndex, this._elapsedCells).forEach(hit => {
+                    this._scheduleCell(trackId, hit.columnIndex, this._nextCellTime + hit.start * cellDuration, hit.length * cellDuration);
+                });
+            }
+            this._scheduleClicks(this._currentCellIndex, this._nextCellTime, cellDuration);
+            this._scheduledCells.push({ columnIndex: this._currentCellIndex, elapsedCells: this._elapsedCells, time: this._nextCellTime, duration: cellDuration, stateBefore, position });
 
             this._nextCellTime += cellDuration;
+            this._elapsedCells++;
+            this._elapsedTime += cellDuration;
         }
     }
 
     /**
-     * Starts playback of the sequence.
+     * Describes the cell the scheduler has just advanced into.
+     * @returns {{columnIndex: number, measure: number, columnInMeasure: number, section: string|null, sectionRepeat: number, arrangementIndex: number, bpm: number, seconds: number}}
+     * @private
      */
-    play() {
-        if (this.audioContext.state === 'suspended') {
-            this.audioContext.resume();
-        }
+    _describeCurrentCell() {
+        const columnsPerMeasure = this._getColumnsPerMeasure();
+        const trackColumns = {};
+        this._tracks.forEach((track, trackId) => {
+            if (track.cycle) {
+                trackColumns[trackId] = this._getCycleColumnAt(track.cycle, this._elapsedCells);
+            }
+        });
+        return {
+            columnIndex: this._currentCellIndex,
+            measure: Math.floor(this._currentCellIndex / columnsPerMeasure), // 0-based measure in the pattern
+            columnInMeasure: this._currentCellIndex % columnsPerMeasure,
+            section: this._currentSection, // null when no arrangement is set
+            sectionRepeat: this._sectionRepeat,
+            arrangementIndex: this._arrangementIndex,
+            bpm: this._currentBpm, // Tempo of this cell
+            seconds: this._elapsedTime, // Start of this cell, in seconds from the start of playback
+            trackColumns // Column sounding at the start of this cell, for each track with its own cycle
+        };
+    }
 
-        if (this._isPlaying) {
-            return;
+    /**
+     * Lists the hits a track plays during one cell of the pattern grid. A track following the pattern plays
+     * the cell's own column. A track with its own cycle counts its cells from the start of playback, at its own
+     * subdivision, so it can have no hit or several hits within one pattern cell, and wraps at its own length.
+     * @param {string} trackId - The ID of the track.
+     * @param {number} columnIndex - The pattern column being played.
+     * @param {number} elapsedCells - The number of pattern cells played before this one since the start.
+     * @returns {Array<{columnIndex: number, start: number, length: number}>} The track's columns, with their start
+     *          and length in pattern cells (start relative to the beginning of this pattern cell).
+     * @private
+     */
+    _getTrackHits(trackId, columnIndex, elapsedCells) {
+        const track = this._tracks.get(trackId);
+        if (!track || !track.cycle) {
+            return [{ columnIndex, start: 0, length: 1 }];
         }
-
-        if (!this._isPaused) {
-            // If not paused, start from beginning
-            this._currentCellIndex = -1; // -1 so the first scheduled cell is 0
-            this._nextCellTime = this.audioContext.currentTime;
-            this._playbackTime = 0;
+        // Positions are compared in whole notes scaled by both subdivisions, so the arithmetic stays exact
+        const patternSubdivision = this._subdivisionNoteValue;
+        const { columns, subdivisionNoteValue } = track.cycle;
+        const hits = [];
+        for (let count = Math.ceil(elapsedCells * subdivisionNoteValue / patternSubdivision);
+            count * patternSubdivision < (elapsedCells + 1) * subdivisionNoteValue; count++) {
+            hits.push({
+                columnIndex: count % columns,
+                start: count * patternSubdivision / subdivisionNoteValue - elapsedCells,
+                length: patternSubdivision / subdivisionNoteValue
+            });
         }
+        return hits;
+    }
 
-        this._isPlaying = true;
-        this._isPaused = false;
-        this.dispatchEvent(new CustomEvent('play'));
-        // The scheduler will pick up from here
+    /**
+     * Finds the column of a track's own cycle that is sounding at the start of a pattern cell.
+     * @param {{columns: number, subdivisionNoteValue: number}} cycle - The track's cycle.
+     * @param {number} elapsedCells - The number of pattern cells played since the start.
+     * @returns {number} The column in the track's cycle.
+     * @private
+     */
+    _getCycleColumnAt(cycle, elapsedCells) {
+        return Math.floor(elapsedCells * cycle.subdivisionNoteValue / this._subdivisionNoteValue) % cycle.columns;
     }
 
     /**
-     * Pauses playback. Maintains current position.
+     * Captures where the scheduler is in the sequence (cell, arrangement, tempo map), so it can be restored later.
+     * @returns {Object} An opaque snapshot for _setTransportState().
+     * @private
      */
-    pause() {
-        if (!this._isPlaying) {
-            return;
-        }
+    _getTransportState() {
+        return {
+            currentCellIndex: this._currentCellIndex,
+            arrangementIndex: this._arrangementIndex,
+            sectionRepeat: this._sectionRepeat,
+            currentSection: this._currentSection,
+            passCount: this._passCount,
+            currentBpm: this._currentBpm,
+            activeRamp: this._activeRamp,
+            appliedTempoEvent: this._appliedTempoEvent,
+            elapsedCells: this._elapsedCells,
+            elapsedTime: this._elapsedTime
+        };
+    }
 
-        this._isPlaying = false;
-        this._isPaused = true;
+    /**
+     * Restores a snapshot taken by _getTransportState().
+     * @param {Object} state - The snapshot.
+     * @private
+     */
+    _setTransportState(state) {
+        this._currentCellIndex = state.currentCellIndex;
+        this._arrangementIndex = state.arrangementIndex;
+        this._sectionRepeat = state.sectionRepeat;
+        this._currentSection = state.currentSection;
+        this._passCount = state.passCount;
+        this._currentBpm = state.currentBpm;
+        this._activeRamp = state.activeRamp;
+        this._appliedTempoEvent = state.appliedTempoEvent;
+        this._elapsedCells = state.elapsedCells;
+        this._elapsedTime = state.elapsedTime;
+    }
 
-        // Stop all currently playing sounds
-        this._scheduledSources.forEach(source => {
-            try {
-                source.stop();
-            } catch (e) {
-                // Source might have already ended
-            }
-        });
-        this._scheduledSources.clear();
+    /**
+     * Moves the transport back to the very start of the sequence, at the base tempo.
+     * @private
+     */
+    _rewindTransport() {
+        this._currentCellIndex = -1; // -1 so the first scheduled cell is the start of the sequence
+        this._arrangementIndex = 0;
+        this._sectionRepeat = 0;
+        this._currentSection = null;
+        this._passCount = 0;
+        this._resumeOffset = 0;
+        this._resetTempo();
+    }
+
+    /**
+     * Computes the timing offset of a track's cell from swing, the active groove template and the cell's own nudge.
+     * The grid position is unchanged; only the moment the sound starts moves.
+     * @param {string} trackId - The ID of the track.
+     * @param {number} columnIndex - The column index (0-based).
+     * @param {number} cellDuration - The duration of the track's cell in seconds.
+     * @returns {number} The offset in seconds (negative = earlier).
+     * @private
+     */
+    _getTimingOffset(trackId, columnIndex, cellDuration) {
+        const track = this._tracks.get(trackId);
+        // A track with its own cycle counts swing pairs and groove steps in its own cells
+        const columnInMeasure = track && track.cycle ? columnIndex : columnIndex % this._getColumnsPerMeasure();
+        let offset = 0; // Fraction of the cell duration
 
-        // Calculate current playback time for resumption
-        const cellDuration = this._calculateCellDuration();
-        this._playbackTime = this._currentCellIndex * cellDuration + (this.audioContext.currentTime - (this._nextCellTime - cellDuration));
-        if (this._playbackTime < 0) this._playbackTime = 0; // Edge case for very start
+        // Swing delays every second cell; a full swing turns each pair of cells into a 2:1 triplet.
+        if (columnInMeasure % 2 === 1) {
+            offset += this._swing / 3;
+        }
+
+        const groove = this._activeGroove !== null ? this._grooves.get(this._activeGroove) : null;
+        if (groove && groove.length > 0) {
+            offset += groove[columnInMeasure % groove.length];
+        }
 
-        this.dispatchEvent(new CustomEvent('pause'));
+        if (track && track.nudges.has(columnIndex)) {
+            offset += track.nudges.get(columnIndex);
+        }
+        return offset * cellDuration;
     }
 
     /**
-     * Stops playback and resets to the beginning of the sequence.
+     * Schedules the sounds of one track's grid cell at the given time, shifted by its timing offset.
+     * @param {string} trackId - The ID of the track.
+     * @param {number} columnIndex - The column index (0-based).
+     * @param {number} time - The audioContext time at which the cell starts on the grid.
+     * @param {number} cellDuration - The duration of the cell in seconds.
+     * @private
      */
-    stop() {
-        if (!this._isPlaying && !this._isPaused) {
+    _scheduleCell(trackId, columnIndex, time, cellDuration) {
+        const track = this._tracks.get(trackId);
+        // Only play if the track is audible (not muted, or soloed)
+        if (!track || !this._isTrackAudible(track)) {
+            return;
+        }
+        const audioData = track.cells.get(columnIndex);
+        if (!audioData) {
             return;
         }
+        const velocity = track.velocities.has(columnIndex) ? track.velocities.get(columnIndex) : 1.0;
+        const dueTime = time + this._getTimingOffset(trackId, columnIndex, cellDuration);
 
-        this._isPlaying = false;
-        this._isPaused = false;
-        this._currentCellIndex = -1;
-        this._playbackTime = 0;
+        const layers = this._getHitLayers(audioData);
+        if (!layers) {
+            console.warn("Invalid audio data type found in grid cell:", audioData);
+            return;
+        }
 
-        // Stop all currently playing sounds
-        this._scheduledSources.forEach(source => {
-            try {
-                source.stop();
-            } catch (e) {
-                // Source might have already ended
+        // Mono and choke tracks cut off what is still ringing in their group when the hit starts
+        this._chokeSources(trackId, columnIndex, time, Math.max(this.audioContext.currentTime, this._resumeTime, dueTime));
+
+        layers.forEach(layer => {
+            // A trimmed sample plays from its start point to its end point; bufferOffset counts from the start point
+            const trim = layer.trim || { start: 0, end: layer.buffer.duration, fadeIn: 0, fadeOut: 0 };
+            const length = trim.end - trim.start;
+            const layerTime = dueTime + layer.offset;
+            // A layer due before playback resumed mid-cell plays its remainder from the resume point;
+            // otherwise never start in the past, e.g. a cell pulled early at the very start of playback.
+            let startTime = Math.max(this.audioContext.currentTime, layerTime);
+            let bufferOffset = 0;
+            if (layerTime < this._resumeTime) {
+                startTime = this._resumeTime;
+                bufferOffset = (this._resumeTime - layerTime) * layer.playbackRate;
+                if (bufferOffset >= length) {
+                    return; // Already over by the resume point
+                }
             }
-        });
-        this._scheduledSources.clear();
 
-        this.dispatchEvent(new CustomEvent('stop'));
-        this.dispatchEvent(new CustomEvent('gridCellChanged', { detail: { columnIndex: -1, time: 0 } })); // Reset UI
+            const source = this.audioContext.createBufferSource();
+            source.buffer = layer.buffer;
+            source.playbackRate.value = layer.playbackRate;
+
+            // Create a temporary gain node for this specific source to apply the layer gain and velocity
+            const tempGainNode = this.audioContext.createGain();
+            const level = layer.gain * velocity;
+            // Set value at current time to avoid scheduling issues with changes to the track's nodes
+            tempGainNode.gain.setValueAtTime(level, this.audioContext.currentTime);
+            const levelAt = this._scheduleTrimFades(tempGainNode.gain, trim, level, startTime, bufferOffset, layer.playbackRate);
+
+            source.connect(tempGainNode);
+            tempGainNode.connect(track.inserts.eqLow); // Connect to the start of the track's insert chain
+
+            // Store reference to stop it later if needed
+            this._scheduledSources.set(source, { trackId, columnIndex, time, startTime, gainNode: tempGainNode, level, levelAt });
+            source.onended = () => {
+                this._scheduledSources.delete(source);
+                tempGainNode.disconnect(); // Disconnect temporary gain node when source ends
+            };
+            if (layer.trim) {
+                source.start(startTime, trim.start + bufferOffset, length - bufferOffset);
+            } else {
+                source.start(startTime, bufferOffset);
+            }
+        });
     }
 
     /**
-     * Sets the Beats Per Minute (BPM). Can only be called in Stop state.
-     * @param {number} bpm - The new BPM value.
+     * Schedules a trimmed sample's fade-in and fade-out on the gain of one of its hits.
+     * @param {AudioParam} gain - The hit's gain.
+     * @param {{start: number, end: number, fadeIn: number, fadeOut: number}} trim - The sample's trim.
+     * @param {number} level - The hit's full level.
+     * @param {number} startTime - The audioContext time at which the hit's source starts.
+     * @param {number} bufferOffset - Seconds after the start point the source starts at (when resuming mid-hit).
+     * @param {number} playbackRate - The layer's playback rate; the trim is in seconds of the sample.
+     * @returns {function(number): number} The hit's level at a given audioContext time, following the fades.
+     * @private
      */
-    setBPM(bpm) {
-        if (this._isPlaying || this._isPaused) {
-            console.warn("Cannot change BPM while playing or paused. Please stop the player first.");
-            return;
+    _scheduleTrimFades(gain, { start, end, fadeIn, fadeOut }, level, startTime, bufferOffset, playbackRate) {
+        const length = end - start;
+        const timeAt = position => startTime + (position - bufferOffset) / playbackRate; // Seconds after the start point -> audioContext time
+        if (fadeIn > 0 && bufferOffset < fadeIn) {
+            gain.setValueAtTime(level * bufferOffset / fadeIn, startTime);
+            gain.linearRampToValueAtTime(level, timeAt(fadeIn));
         }
-        if (bpm <= 0) {
-            console.error("BPM must be a positive number.");
-            return;
+        if (fadeOut > 0) {
+            const fadeOutStart = Math.max(bufferOffset, length - fadeOut);
+            gain.setValueAtTime(level * (length - fadeOutStart) / fadeOut, timeAt(fadeOutStart));
+            gain.linearRampToValueAtTime(0, timeAt(length));
         }
-        this._bpm = bpm;
-        this.dispatchEvent(new CustomEvent('bpmChanged', { detail: { bpm: this._bpm } }));
+        return time => {
+            const position = bufferOffset + Math.max(0, time - startTime) * playbackRate;
+            const fadeInLevel = fadeIn > 0 ? position / fadeIn : 1;
+            const fadeOutLevel = fadeOut > 0 ? (length - position) / fadeOut : 1;
+            return level * Math.max(0, Math.min(1, fadeInLevel, fadeOutLevel));
+        };
     }
 
     /**
-     * Sets the time signature. Can only be called in Stop state.
-     * @param {number} numerator - The numerator of the time signature (e.g., 4 for 4/4).
-     * @param {number} denominator - The denominator of the time signature (e.g., 4 for 4/4).
+     * Resolves a cell's audio data into the layers to play. A hit descriptor lists its layers directly;
+     * a bare AudioBuffer, sample ID or synthesized {voice} is a single layer, and the older {open, slap, slapMultiplier}
+     * shape is two layers. Sample IDs are looked up in the registry, so the current buffer of a replaced sample is used,
+     * and voices are played from their rendered buffers. Layers playing a sample by ID carry the sample's trim.
+     * @param {string|AudioBuffer|{voice: Object}|{open: AudioBuffer, slap: AudioBuffer, slapMultiplier?: number}|{layers: Array<{buffer?: AudioBuffer, sample?: string, voice?: Object, gain?: number, playbackRate?: number, offset?: number}>}} audioData
+     *        The cell's audio data.
+     * @returns {Array<{buffer: AudioBuffer, gain: number, playbackRate: number, offset: number, trim?: Object}>|null}
+     *          The layers with defaults filled in, or null if the audio data is not valid (or uses an unregistered sample).
+     * @private
      */
-    setTimeSignature(numerator, denominator) {
-        if (this._isPlaying || this._isPaused) {
-            console.warn("Cannot change time signature while playing or paused. Please stop the player first.");
-            return;
+    _getHitLayers(audioData) {
+        if (typeof audioData === 'string') {
+            const buffer = this._samples.get(audioData);
+            return buffer ? [{ buffer, gain: 1.0, playbackRate: 1.0, offset: 0, ...(this._sampleTrims.has(audioData) ? { trim: this._sampleTrims.get(audioData) } : {}) }] : null;
         }
-        if (numerator <= 0 || denominator <= 0) {
-            console.error("Time signature parts must be positive numbers.");
-            return;
+        if (audioData instanceof AudioBuffer) {
+            return [{ buffer: audioData, gain: 1.0, playbackRate: 1.0, offset: 0 }];
         }
-        this._timeSignatureNumerator = numerator;
-        this._timeSignatureDenominator = denominator;
-        this.dispatchEvent(new CustomEvent('timeSignatureChanged', {
-            detail: { numerator: this._timeSignatureNumerator, denominator: this._timeSignatureDenominator }
+        if (typeof audioData !== 'object' || audioData === null) {
+            return null;
+        }
+        if (audioData.voice !== undefined) {
+            const settings = this._normalizeVoice(audioData.voice);
+            return settings ? [{ buffer: this._getVoiceBuffer(settings), gain: 1.0, playbackRate: 1.0, offset: 0 }] : null;
+        }
+        if (audioData.open && audioData.slap) {
+            // Combined sound: open at normal volume, slap with its multiplier
+            if (!(audioData.open instanceof AudioBuffer) || !(audioData.slap instanceof AudioBuffer)) {
+                return null;
+            }
+            const slapMultiplier = audioData.slapMultiplier !== undefined ? audioData.slapMultiplier : 1.0;
+            return [
+                { buffer: audioData.open, gain: 1.0, playbackRate: 1.0, offset: 0 },
+                { buffer: audioData.slap, gain: slapMultiplier, playbackRate: 1.0, offset: 0 }
+            ];
+        }
+        if (!Array.isArray(audioData.layers) || audioData.layers.length === 0) {
+            return null;
+        }
+        const layerBuffer = (layer) => {
+            if (layer.voice !== undefined) {
+                const settings = this._normalizeVoice(layer.voice);
+                return settings ? this._getVoiceBuffer(settings) : null;
+            }
+            return typeof layer.sample === 'string' ? this._samples.get(layer.sample) : layer.buffer;
+        };
+        const layers = audioData.layers.map(layer => ({
+            buffer: layer && layerBuffer(layer),
+            gain: layer && layer.gain !== undefined ? layer.gain : 1.0,
+            playbackRate: layer && layer.playbackRate !== undefined ? layer.playbackRate : 1.0,
+            offset: layer && layer.offset !== undefined ? layer.offset : 0,
+            ...(layer && layer.voice === undefined && this._sampleTrims.has(layer.sample) ? { trim: this._sampleTrims.get(layer.sample) } : {})
         }));
+        const isValid = layers.every(layer => layer.buffer instanceof AudioBuffer &&
+            Number.isFinite(layer.gain) && layer.gain >= 0 &&
+            Number.isFinite(layer.playbackRate) && layer.playbackRate > 0 &&
+            Number.isFinite(layer.offset));
+        return isValid ? layers : null;
     }
 
     /**
-     * Sets the subdivision note value for each grid cell.
-     * @param {number} subdivisionNoteValue - E.g., 4 for quarter notes, 8 for eighths, 16 for sixteenths, 32 for thirty-seconds.
+     * Re-schedules a cell that was edited while playing. If the cell was already scheduled inside the
+     * look-ahead window but has not started yet, its old sources are cancelled and its current
+     * contents are scheduled at the same time. Cells further ahead are picked up by the scheduler as usual.
+     * @param {string} trackId - The ID of the track.
+     * @param {number} columnIndex - The column index (0-based).
+     * @private
      */
-    setSubdivisionNoteValue(subdivisionNoteValue) {
-        if (this._isPlaying || this._isPaused) {
-            console.warn("Cannot change subdivision while playing or paused. Please stop the player first.");
+    _rescheduleCell(trackId, columnIndex) {
+        if (!this._isPlaying) {
             return;
         }
-        if (![4, 8, 16, 32].includes(subdivisionNoteValue)) {
-            console.error("Subdivision note value must be 4, 8, 16, or 32.");
+        const currentTime = this.audioContext.currentTime;
+        this._scheduledCells.forEach(cell => {
+            this._getTrackHits(trackId, cell.columnIndex, cell.elapsedCells).forEach(hit => {
+                const time = cell.time + hit.start * cell.duration;
+                if (hit.columnIndex !== columnIndex || time < currentTime) {
+                    return;
+                }
+                this._stopSources(info => info.trackId === trackId && info.columnIndex === columnIndex && info.time === time);
+                this._scheduleCell(trackId, columnIndex, time, hit.length * cell.duration);
+            });
+        });
+    }
+
+    /**
+     * Schedules the metronome clicks falling within one cell. Clicks are counted from the start of each measure,
+     * every beatsPerClick beats, so the first click of a measure is its downbeat; a grouping that does not divide
+     * the measure starts again at the next barline. Clicks ignore swing and grooves.
+     * @param {number} columnIndex - The pattern column being played.
+     * @param {number} time - The audioContext time at which the cell starts.
+     * @param {number} cellDuration - The duration of the cell in seconds.
+     * @private
+     */
+    _scheduleClicks(columnIndex, time, cellDuration) {
+        if (!this._metronome.enabled) {
             return;
         }
-        this._subdivisionNoteValue = subdivisionNoteValue;
-        this.dispatchEvent(new CustomEvent('subdivisionChanged', { detail: { subdivisionNoteValue: this._subdivisionNoteValue } }));
+        // Positions in the measure in units of 1/(denominator * subdivision) of a whole note,
+        // so a cell is 'denominator' units long and a beat 'subdivision' units: exact integers even for tuplets
+        const cellUnits = this._timeSignatureDenominator;
+        const clickUnits = this._metronome.beatsPerClick * this._subdivisionNoteValue;
+        const measureUnits = this._timeSignatureNumerator * this._subdivisionNoteValue;
+        const cellStart = (columnIndex % this._getColumnsPerMeasure()) * cellUnits;
+        for (let position = Math.ceil(cellStart / clickUnits) * clickUnits; position < cellStart + cellUnits && position < measureUnits; position += clickUnits) {
+            const clickTime = time + (position - cellStart) / cellUnits * cellDuration;
+            // Never click late, e.g. for a beat before the point playback resumed from
+            if (clickTime >= Math.max(this.audioContext.currentTime, this._resumeTime)) {
+                this._scheduleClick(clickTime, position === 0 ? 'accent' : 'beat');
+            }
+        }
     }
 
     /**
-     * Enables or disables looping of the sequence.
-     * @param {boolean} loop - True to loop, false to stop at the end.
+     * Synthesizes one metronome or count-in click: a short sine blip, higher and louder on the downbeat,
+     * and higher still for the count-in's cue.
+     * @param {number} time - The audioContext time of the click.
+     * @param {'accent'|'beat'|'cue'} tone - Which click, from _CLICK_TONES.
+     * @private
      */
-    setLooping(loop) {
-        this._loop = loop;
-        this.dispatchEvent(new CustomEvent('loopingChanged', { detail: { loop: this._loop } }));
+    _scheduleClick(time, tone) {
+        const { frequency, level } = MultiTrackPlayer._CLICK_TONES[tone];
+        const oscillator = this.audioContext.createOscillator();
+        oscillator.type = 'sine';
+        oscillator.frequency.value = frequency;
+        const envelope = this.audioContext.createGain();
+        envelope.gain.setValueAtTime(0, time);
+        envelope.gain.linearRampToValueAtTime(level, time + 0.002);
+        envelope.gain.exponentialRampToValueAtTime(0.001, time + 0.05);
+        oscillator.connect(envelope);
+        envelope.connect(this._metronomeGainNode);
+
+        this._scheduledSources.set(oscillator, { trackId: null, columnIndex: -1, time, startTime: time, gainNode: envelope, level });
+        oscillator.onended = () => {
+            this._scheduledSources.delete(oscillator);
+            envelope.disconnect();
+        };
+        oscillator.start(time);
+        oscillator.stop(time + 0.06);
     }
 
     /**
-     * Adds a new track to the player.
-     * @param {string} trackId - A unique identifier for the track.
+     * Fades out sources that a new hit chokes: for a mono track, the track's own earlier sounds; for a choke track,
+     * the earlier sounds of every choke track in the same group. Each choked sound fades over its own track's fade time.
+     * Poly tracks neither choke nor get choked, and the layers of the new hit itself are left alone.
+     * @param {string} trackId - The track of the new hit.
+     * @param {number} columnIndex - The column of the new hit.
+     * @param {number} time - The grid time of the new hit's cell, identifying its own sources.
+     * @param {number} chokeTime - The audioContext time the new hit starts, when the fade begins.
+     * @private
      */
-    addTrack(trackId) {
-        if (this._tracks.has(trackId)) {
-            console.warn(`Track with ID '${trackId}' already exists.`);
+    _chokeSources(trackId, columnIndex, time, chokeTime) {
+        const track = this._tracks.get(trackId);
+        if (!track || track.playMode === 'poly') {
+            return;
+        }
+        this._scheduledSources.forEach((info, source) => {
+            if (info.startTime >= chokeTime || (info.chokedAt !== undefined && info.chokedAt <= chokeTime)) {
+                return; // Not started before this hit, or already cut off by then
+            }
+            if (info.trackId === trackId && info.columnIndex === columnIndex && info.time === time) {
+                return; // A layer of this same hit
+            }
+            const other = this._tracks.get(info.trackId);
+            const isSameGroup = info.trackId === trackId ||
+                (track.playMode === 'choke' && other && other.playMode === 'choke' && other.chokeGroup === track.chokeGroup);
+            if (!isSameGroup || !other) {
+                return;
+            }
+            const fadeEnd = chokeTime + other.chokeFadeTime;
+            // Drop the fades of a trimmed sample from the choke on; a ramp to the level it has reached by then
+            // redraws the part of a fade that was cut off, so the choke fade starts without a jump
+            info.gainNode.gain.cancelScheduledValues(chokeTime);
+            info.gainNode.gain.linearRampToValueAtTime(info.levelAt(chokeTime), chokeTime);
+            info.gainNode.gain.linearRampToValueAtTime(0, fadeEnd);
+            try {
+                source.stop(fadeEnd);
+            } catch (e) {
+                // Source might have already ended
+            }
+            info.chokedAt = chokeTime;
+        });
+    }
+
+    /**
+     * Stops scheduled or playing sources, optionally only those matching a filter.
+     * @param {function({trackId: string, columnIndex: number, time: number}): boolean} [filter] - Selects the sources to stop; all by default.
+     * @private
+     */
+    _stopSources(filter = () => true) {
+        this._scheduledSources.forEach((info, source) => {
+            if (!filter(info)) {
+                return;
+            }
+            try {
+                source.stop();
+            } catch (e) {
+                // Source might have already ended
+            }
+            this._scheduledSources.delete(source);
+        });
+    }
+
+    /**
+     * Rewinds the tempo map: back to the base tempo, no ramp running, timeline at the start.
+     * @private
+     */
+    _resetTempo() {
+        this._currentBpm = this._bpm;
+        this._activeRamp = null;
+        this._appliedTempoEvent = null;
+        this._elapsedCells = 0;
+        this._elapsedTime = 0;
+    }
+
+    /**
+     * Starts playback of the sequence, from the beginning, or from where it was paused or cued by seek().
+     */
+    play() {
+        if (this.audioContext.state === 'suspended') {
+            this.audioContext.resume();
+        }
+
+        if (this._isPlaying) {
+            return;
+        }
+
+        if (!this._isPaused && !this._positionCued) {
+            this._rewindTransport(); // If not paused, start from beginning
+        }
+        // The sequence starts once the count-in (if any) is over
+        const currentTime = this.audioContext.currentTime;
+        const startTime = currentTime + this._queueCountIn(currentTime);
+        if (this._isPaused || this._positionCued) {
+            // Resume mid-cell: the next cell started _resumeOffset seconds "ago"
+            this._nextCellTime = startTime - this._resumeOffset;
+            this._resumeTime = startTime;
+        } else {
+            this._nextCellTime = startTime;
+            this._resumeTime = -Infinity;
+        }
+        this._resumeOffset = 0;
+        this._positionCued = false;
+
+        this._isPlaying = true;
+        this._isPaused = false;
+        this.dispatchEvent(new CustomEvent('play'));
+        // Schedule right away so a resumed cell lines up with the resume point; the scheduler picks up from here
+        this._scheduleAudio();
+    }
+
+    /**
+     * Queues the count-in clicks for playback starting now, at the tempo of the cell playback starts from.
+     * @param {number} currentTime - The audioContext time play() was called.
+     * @returns {number} The length of the count-in in seconds (0 without a count-in).
+     * @private
+     */
+    _queueCountIn(currentTime) {
+        const ticks = this._countIn.unit === 'bars' ? this._countIn.length * this._timeSignatureNumerator : this._countIn.length;
+        const beatDuration = 240 / this.getPosition().bpm / this._timeSignatureDenominator;
+        this._countInTicks = [];
+        for (let i = 0; i < ticks; i++) {
+            this._countInTicks.push({
+                tick: i + 1, // 1-based, counting through the whole count-in
+                ticks,
+                beat: (i % this._timeSignatureNumerator) + 1, // 1-based beat in the bar, for a "1-2-3-4" display
+                isFinal: i === ticks - 1,
+                time: currentTime + i * beatDuration
+            });
+        }
+        return ticks * beatDuration;
+    }
+
+    /**
+     * Pauses playback. Maintains the current position, down to the point within the current cell.
+     */
+    pause() {
+        if (!this._isPlaying) {
+            return;
+        }
+
+        // Rewind the scheduler to the cell that is audible now (it runs up to a look-ahead window ahead)
+        const currentTime = this.audioContext.currentTime;
+        const audibleCell = this._getAudibleCell(currentTime);
+        if (audibleCell) {
+            this._setTransportState(audibleCell.stateBefore);
+            this._resumeOffset = Math.min(audibleCell.duration, Math.max(0, currentTime - audibleCell.time));
+        }
+
+        this._isPlaying = false;
+        this._isPaused = true;
+        this._countInTicks = [];
+
+        // Stop all currently playing sounds
+        this._stopSources();
+        this._scheduledCells = [];
+
+        this.dispatchEvent(new CustomEvent('pause', { detail: { position: this.getPosition() } }));
+    }
+
+    /**
+     * Finds the scheduled cell that is sounding at the given time.
+     * @param {number} time - An audioContext time.
+     * @returns {{columnIndex: number, elapsedCells: number, time: number, duration: number, stateBefore: Object, position: Object}|null}
+     *          The latest scheduled cell that started by then, or the earliest one if none has started yet.
+     * @private
+     */
+    _getAudibleCell(time) {
+        let audibleCell = null;
+        this._scheduledCells.forEach(cell => {
+            if (cell.time <= time) {
+                audibleCell = cell;
+            }
+        });
+        return audibleCell || this._scheduledCells[0] || null;
+    }
+
+    /**
+     * Moves the playback position. While playing, playback jumps there immediately; while paused or stopped,
+     * the next play() starts there. The tempo is set to what the tempo map gives at that point.
+     * @param {{columnIndex?: number, seconds?: number}} target - Either a grid column (its first occurrence in the
+     *        arrangement) or a time in seconds from the start of the sequence (wrapping around when looping).
+     */
+    seek(target) {
+        const hasColumn = target && target.columnIndex !== undefined;
+        const hasSeconds = target && target.seconds !== undefined;
+        if (hasColumn === hasSeconds) {
+            console.error("Seek target must be either { columnIndex } or { seconds }.");
+            return;
+        }
+        if (hasColumn && (!Number.isInteger(target.columnIndex) || target.columnIndex < 0)) {
+            console.error("Seek column index must be a non-negative whole number.");
+            return;
+        }
+        if (hasSeconds && !(target.seconds >= 0)) {
+            console.error("Seek time must be zero or more seconds.");
+            return;
+        }
+
+        const timeline = this._buildTimeline(1);
+        let cell;
+        let offset = 0;
+        if (hasColumn) {
+            cell = timeline.cells.find(c => c.columnIndex === target.columnIndex);
+            if (!cell) {
+                console.error(`Column ${target.columnIndex} is not played by the current pattern and arrangement.`);
+                return;
+            }
+        } else {
+            let seconds = target.seconds;
+            if (seconds >= timeline.duration) {
+                if (!this._loop || timeline.duration === 0) {
+                    console.error(`Seek time is past the end of the ${timeline.duration.toFixed(3)}s sequence.`);
+                    return;
+                }
+                seconds %= timeline.duration;
+            }
+            cell = timeline.cells.find(c => seconds < c.time + c.duration);
+            offset = seconds - cell.time;
+        }
+
+        this._setTransportState(cell.stateBefore);
+        this._resumeOffset = offset;
+
+        if (this._isPlaying) {
+            // Jump right away (cutting any count-in short): drop everything scheduled from the old position
+            this._stopSources();
+            this._scheduledCells = [];
+            this._countInTicks = [];
+            this._nextCellTime = this.audioContext.currentTime - offset;
+            this._resumeTime = this.audioContext.currentTime;
+            this._resumeOffset = 0;
+        } else if (!this._isPaused) {
+            this._positionCued = true;
+        }
+
+        this.dispatchEvent(new CustomEvent('positionChanged', { detail: { position: this.getPosition() } }));
+        if (this._isPlaying) {
+            this._scheduleAudio();
+        }
+    }
+
+    /**
+     * Gets the playback position: the cell being heard (or that playback will resume from), the time into that cell,
+     * and the time since the start of the sequence.
+     * @returns {{columnIndex: number, measure: number, columnInMeasure: number, section: string|null, sectionRepeat: number,
+     *            arrangementIndex: number, bpm: number, offset: number, seconds: number}}
+     */
+    getPosition() {
+        if (this._isPlaying) {
+            const currentTime = this.audioContext.currentTime;
+            const audibleCell = this._getAudibleCell(currentTime);
+            if (audibleCell) {
+                const offset = Math.min(audibleCell.duration, Math.max(0, currentTime - audibleCell.time));
+                return { ...audibleCell.position, offset, seconds: audibleCell.position.seconds + offset };
+            }
+        }
+
+        // Not playing (or nothing scheduled yet): peek at the cell playback will start from
+        const saved = this._getTransportState();
+        let position = { ...this._describeCurrentCell(), columnIndex: -1 };
+        if (this._advanceCell()) {
+            this._applyTempoMap(this._elapsedCells);
+            position = this._describeCurrentCell();
+        }
+        this._setTransportState(saved);
+        const offset = this._isPlaying ? 0 : this._resumeOffset;
+        return { ...position, offset, seconds: position.seconds + offset };
+    }
+
+    /**
+     * Stops playback and resets to the beginning of the sequence.
+     */
+    stop() {
+        if (!this._isPlaying && !this._isPaused && !this._positionCued) {
+            return;
+        }
+
+        this._isPlaying = false;
+        this._isPaused = false;
+        this._positionCued = false;
+        this._countInTicks = [];
+        this._rewindTransport();
+
+        // Stop all currently playing sounds
+        this._stopSources();
+        this._scheduledCells = [];
+
+        this.dispatchEvent(new CustomEvent('stop'));
+        this.dispatchEvent(new CustomEvent('gridCellChanged', {
+            detail: { columnIndex: -1, measure: -1, columnInMeasure: -1, section: null, sectionRepeat: 0, arrangementIndex: 0, bpm: this._bpm, seconds: 0, trackColumns: {}, time: 0 }
+        })); // Reset UI
+    }
+
+    /**
+     * Sets the Beats Per Minute (BPM). Can be called while playing: the new tempo takes effect
+     * at the next cell that has not been scheduled yet, and overrides a tempo ramp in progress.
+     * Tempo map events further along the timeline still apply when playback reaches them.
+     * @param {number} bpm - The new BPM value.
+     */
+    setBPM(bpm) {
+        if (bpm <= 0) {
+            console.error("BPM must be a positive number.");
+            return;
+        }
+        this._bpm = bpm;
+        this._currentBpm = bpm;
+        this._activeRamp = null;
+        this._updateDelayTime(this._calculateCellDuration(), this.audioContext.currentTime);
+        this.dispatchEvent(new CustomEvent('bpmChanged', { detail: { bpm: this._bpm } }));
+    }
+
+    /**
+     * Sets the tempo instantly at a position of the playback timeline.
+     * Positions are counted from the start of playback, so they keep counting across arrangement repeats and loops.
+     * Replaces any tempo event at the same position. Can be called while playing; at a position
+     * playback has already passed, the event takes effect at the next cell scheduled.
+     * @param {number} measure - The measure (0-based) on the playback timeline.
+     * @param {number} column - The column (0-based) within that measure.
+     * @param {number} bpm - The tempo from that position on.
+     */
+    setTempoAt(measure, column, bpm) {
+        this._addTempoEvent(measure, column, bpm, 0, 'linear');
+    }
+
+    /**
+     * Ramps the tempo from whatever is in effect at a position of the playback timeline to a target BPM
+     * over a number of measures. The tempo is updated at every cell along the ramp.
+     * Replaces any tempo event at the same position. Can be called while playing.
+     * @param {number} measure - The measure (0-based) on the playback timeline where the ramp starts.
+     * @param {number} column - The column (0-based) within that measure.
+     * @param {number} targetBpm - The tempo reached at the end of the ramp.
+     * @param {number} measures - The length of the ramp in measures (positive).
+     * @param {'linear'|'exponential'} [curve='linear'] - The shape of the ramp.
+     */
+    addTempoRamp(measure, column, targetBpm, measures, curve = 'linear') {
+        if (!(measures > 0)) {
+            console.error("Tempo ramp length must be a positive number of measures.");
+            return;
+        }
+        if (curve !== 'linear' && curve !== 'exponential') {
+            console.error("Tempo ramp curve must be 'linear' or 'exponential'.");
+            return;
+        }
+        this._addTempoEvent(measure, column, targetBpm, measures, curve);
+    }
+
+    /**
+     * Validates and stores a tempo map event, keeping the map sorted by position.
+     * @param {number} measure - The measure (0-based) on the playback timeline.
+     * @param {number} column - The column (0-based) within that measure.
+     * @param {number} bpm - The tempo to set, or the ramp's target tempo.
+     * @param {number} rampMeasures - The ramp length in measures, 0 for an instant change.
+     * @param {'linear'|'exponential'} curve - The shape of the ramp.
+     * @private
+     */
+    _addTempoEvent(measure, column, bpm, rampMeasures, curve) {
+        if (!Number.isInteger(measure) || measure < 0 || !Number.isInteger(column) || column < 0) {
+            console.error("Tempo map position must be a non-negative measure and column.");
+            return;
+        }
+        if (!(bpm > 0)) {
+            console.error("BPM must be a positive number.");
+            return;
+        }
+        this._tempoMap = this._tempoMap.filter(e => e.measure !== measure || e.column !== column);
+        this._tempoMap.push({ measure, column, bpm, rampMeasures, curve });
+        this._tempoMap.sort((a, b) => a.measure - b.measure || a.column - b.column);
+        this.dispatchEvent(new CustomEvent('tempoMapChanged', { detail: { tempoMap: this.getTempoMap() } }));
+    }
+
+    /**
+     * Removes the tempo map event at a position of the playback timeline.
+     * @param {number} measure - The measure (0-based) on the playback timeline.
+     * @param {number} column - The column (0-based) within that measure.
+     */
+    removeTempoEvent(measure, column) {
+        const count = this._tempoMap.length;
+        this._tempoMap = this._tempoMap.filter(e => e.measure !== measure || e.column !== column);
+        if (this._tempoMap.length === count) {
+            console.warn(`No tempo event at measure ${measure}, column ${column}.`);
+            return;
+        }
+        this._keepPassedTempoEvents();
+        this.dispatchEvent(new CustomEvent('tempoMapChanged', { detail: { tempoMap: this.getTempoMap() } }));
+    }
+
+    /**
+     * Removes all tempo map events. A ramp already in progress runs to its end.
+     */
+    clearTempoMap() {
+        this._tempoMap = [];
+        this._keepPassedTempoEvents();
+        this.dispatchEvent(new CustomEvent('tempoMapChanged', { detail: { tempoMap: [] } }));
+    }
+
+    /**
+     * After an event was removed, marks the latest event playback has already passed as taken effect,
+     * so removing a later event keeps the tempo as it is rather than applying an earlier event again.
+     * @private
+     */
+    _keepPassedTempoEvents() {
+        this._appliedTempoEvent = this._getLatestTempoEvent(this._elapsedCells - 1);
+    }
+
+    /**
+     * Sets the time signature. Can only be called in Stop state.
+     * The subdivision can be changed in the same call, for combinations that only work together
+     * (e.g. going from 4/4 in triplet eighths to 5/8 in sixteenths).
+     * @param {number} numerator - The numerator of the time signature (e.g., 4 for 4/4).
+     * @param {number} denominator - The denominator of the time signature (e.g., 4 for 4/4).
+     * @param {number} [subdivisionNoteValue] - The subdivision to use with it; defaults to the current one.
+     */
+    setTimeSignature(numerator, denominator, subdivisionNoteValue = this._subdivisionNoteValue) {
+        if (this._isPlaying || this._isPaused) {
+            console.warn("Cannot change time signature while playing or paused. Please stop the player first.");
+            return;
+        }
+        if (!Number.isInteger(numerator) || !Number.isInteger(denominator) || numerator <= 0 || denominator <= 0) {
+            console.error("Time signature parts must be positive whole numbers.");
+            return;
+        }
+        const error = this._validateGrid(numerator, denominator, subdivisionNoteValue);
+        if (error) {
+            console.error(error);
+            return;
+        }
+        const subdivisionChanged = subdivisionNoteValue !== this._subdivisionNoteValue;
+        this._timeSignatureNumerator = numerator;
+        this._timeSignatureDenominator = denominator;
+        this._subdivisionNoteValue = subdivisionNoteValue;
+        this.dispatchEvent(new CustomEvent('timeSignatureChanged', {
+            detail: { numerator: this._timeSignatureNumerator, denominator: this._timeSignatureDenominator }
+        }));
+        if (subdivisionChanged) {
+            this.dispatchEvent(new CustomEvent('subdivisionChanged', { detail: { subdivisionNoteValue: this._subdivisionNoteValue } }));
+        }
+    }
+
+    /**
+     * Sets the subdivision note value for each grid cell, i.e. how many cells make a whole note.
+     * Besides the powers of two, tuplet grids are supported, e.g. 12 for eighth-note triplets or 24 for
+     * sixteenth-note triplets (sextuplets per quarter), as long as a measure holds a whole number of cells.
+     * @param {number} subdivisionNoteValue - E.g., 4 for quarter notes, 8 for eighths, 12 for eighth triplets, 16 for sixteenths.
+     */
+    setSubdivisionNoteValue(subdivisionNoteValue) {
+        if (this._isPlaying || this._isPaused) {
+            console.warn("Cannot change subdivision while playing or paused. Please stop the player first.");
+            return;
+        }
+        const error = this._validateGrid(this._timeSignatureNumerator, this._timeSignatureDenominator, subdivisionNoteValue);
+        if (error) {
+            console.error(error);
+            return;
+        }
+        this._subdivisionNoteValue = subdivisionNoteValue;
+        this.dispatchEvent(new CustomEvent('subdivisionChanged', { detail: { subdivisionNoteValue: this._subdivisionNoteValue } }));
+    }
+
+    /**
+     * Sets the subdivision as a number of cells per beat, where the beat is the time signature's
+     * denominator note (e.g., 3 per beat in 4/4 gives eighth-note triplets, subdivision 12).
+     * Can only be called in Stop state.
+     * @param {number} cellsPerBeat - The number of cells per beat (positive integer).
+     */
+    setSubdivisionPerBeat(cellsPerBeat) {
+        if (!Number.isInteger(cellsPerBeat) || cellsPerBeat <= 0) {
+            console.error("Cells per beat must be a positive whole number.");
+            return;
+        }
+        this.setSubdivisionNoteValue(cellsPerBeat * this._timeSignatureDenominator);
+    }
+
+    /**
+     * Checks that a time signature and subdivision make a grid with a whole number of cells per measure.
+     * @param {number} numerator - The time signature numerator.
+     * @param {number} denominator - The time signature denominator.
+     * @param {number} subdivisionNoteValue - The number of cells per whole note.
+     * @returns {string|null} A description of the problem, or null if the combination is valid.
+     * @private
+     */
+    _validateGrid(numerator, denominator, subdivisionNoteValue) {
+        if (!Number.isInteger(subdivisionNoteValue) || subdivisionNoteValue <= 0) {
+            return "Subdivision note value must be a positive whole number of cells per whole note (e.g. 4, 8, 12, 16, 24 or 32).";
+        }
+        if ((numerator * subdivisionNoteValue) % denominator !== 0) {
+            const cells = numerator * subdivisionNoteValue / denominator;
+            return `A ${numerator}/${denominator} measure at a subdivision of ${subdivisionNoteValue} per whole note would have ` +
+                `${Number(cells.toFixed(3))} cells. Choose a subdivision that fills the measure with whole cells.`;
+        }
+        return null;
+    }
+
+    /**
+     * Sets the length of the pattern in measures. Can only be called in Stop state.
+     * Cells beyond the new length are kept but not played.
+     * @param {number} measures - The number of measures in the pattern (positive integer).
+     */
+    setPatternLength(measures) {
+        if (this._isPlaying || this._isPaused) {
+            console.warn("Cannot change pattern length while playing or paused. Please stop the player first.");
+            return;
+        }
+        if (!Number.isInteger(measures) || measures <= 0) {
+            console.error("Pattern length must be a positive whole number of measures.");
+            return;
+        }
+        this._patternMeasures = measures;
+        this.dispatchEvent(new CustomEvent('patternLengthChanged', { detail: { measures: this._patternMeasures } }));
+    }
+
+    /**
+     * Gives a track its own cycle length and subdivision, independent of the pattern (polymeter), e.g.
+     * 12 triplet eighths (subdivision 12) against a 16-sixteenth pattern. The track's cells are then indexed
+     * within its own cycle, which starts with playback and wraps at its own length regardless of the pattern,
+     * sections and arrangement. Swing, grooves and nudges apply to the track's own cells.
+     * Can only be called in Stop state.
+     * @param {string} trackId - The ID of the track.
+     * @param {number|null} columns - The number of cells in the track's cycle, or null to follow the pattern again.
+     * @param {number} [subdivisionNoteValue] - The note value of one cell (cells per whole note, e.g. 12 for
+     *        triplet eighths). Defaults to the pattern's subdivision.
+     */
+    setTrackCycle(trackId, columns, subdivisionNoteValue = this._subdivisionNoteValue) {
+        if (this._isPlaying || this._isPaused) {
+            console.warn("Cannot change a track's cycle while playing or paused. Please stop the player first.");
+            return;
+        }
+        const track = this._tracks.get(trackId);
+        if (!track) {
+            console.warn(`Track with ID '${trackId}' does not exist.`);
+            return;
+        }
+        if (columns !== null && (!Number.isInteger(columns) || columns <= 0)) {
+            console.error("Track cycle length must be a positive whole number of cells.");
+            return;
+        }
+        if (!Number.isInteger(subdivisionNoteValue) || subdivisionNoteValue <= 0) {
+            console.error("Track subdivision must be a positive whole note value.");
+            return;
+        }
+        track.cycle = columns === null ? null : { columns, subdivisionNoteValue };
+        this.dispatchEvent(new CustomEvent('trackCycleChanged', { detail: { trackId, cycle: this.getTrackCycle(trackId) } }));
+    }
+
+    /**
+     * Gets a track's own cycle.
+     * @param {string} trackId - The ID of the track.
+     * @returns {{columns: number, subdivisionNoteValue: number}|null} The cycle, or null if the track follows the pattern.
+     */
+    getTrackCycle(trackId) {
+        const track = this._tracks.get(trackId);
+        return track && track.cycle ? { ...track.cycle } : null;
+    }
+
+    /**
+     * Defines (or redefines) a named section of the pattern. Can only be called in Stop state.
+     * @param {string} name - The section name (e.g., 'intro', 'A', 'llamada').
+     * @param {number} startMeasure - The first measure of the section (0-based).
+     * @param {number} [measureCount=1] - The number of measures in the section.
+     */
+    defineSection(name, startMeasure, measureCount = 1) {
+        if (this._isPlaying || this._isPaused) {
+            console.warn("Cannot change sections while playing or paused. Please stop the player first.");
+            return;
+        }
+        if (!Number.isInteger(startMeasure) || startMeasure < 0) {
+            console.error("Section start measure must be a non-negative whole number.");
+            return;
+        }
+        if (!Number.isInteger(measureCount) || measureCount <= 0) {
+            console.error("Section length must be a positive whole number of measures.");
+            return;
+        }
+        if (startMeasure + measureCount > this._patternMeasures) {
+            console.warn(`Section '${name}' extends past the end of the ${this._patternMeasures}-measure pattern and will be clipped.`);
+        }
+        this._sections.set(name, { startMeasure, measureCount });
+        this.dispatchEvent(new CustomEvent('sectionsChanged', { detail: { sections: this.getSections() } }));
+    }
+
+    /**
+     * Removes a named section and any arrangement entries that use it. Can only be called in Stop state.
+     * @param {string} name - The section name.
+     */
+    removeSection(name) {
+        if (this._isPlaying || this._isPaused) {
+            console.warn("Cannot change sections while playing or paused. Please stop the player first.");
+            return;
+        }
+        if (!this._sections.delete(name)) {
+            console.warn(`Section '${name}' does not exist.`);
+            return;
+        }
+        this.dispatchEvent(new CustomEvent('sectionsChanged', { detail: { sections: this.getSections() } }));
+        if (this._arrangement.some(entry => entry.section === name)) {
+            this.setArrangement(this._arrangement.filter(entry => entry.section !== name));
+        }
+    }
+
+    /**
+     * Sets the arrangement: the ordered list of sections the scheduler plays, each repeated
+     * the given number of times. Pass an empty array to play the whole pattern. Can only be called in Stop state.
+     * @param {Array<{section: string, repeats?: number}>} arrangement - The arrangement entries, in playing order.
+     */
+    setArrangement(arrangement) {
+        if (this._isPlaying || this._isPaused) {
+            console.warn("Cannot change arrangement while playing or paused. Please stop the player first.");
+            return;
+        }
+        if (!Array.isArray(arrangement)) {
+            console.error("Arrangement must be an array of { section, repeats } entries.");
+            return;
+        }
+        const entries = [];
+        for (const entry of arrangement) {
+            if (!entry || !this._sections.has(entry.section)) {
+                console.error(`Arrangement references unknown section '${entry && entry.section}'.`);
+                return;
+            }
+            const repeats = entry.repeats !== undefined ? entry.repeats : 1;
+            if (!Number.isInteger(repeats) || repeats <= 0) {
+                console.error(`Repeat count for section '${entry.section}' must be a positive whole number.`);
+                return;
+            }
+            entries.push({ section: entry.section, repeats });
+        }
+        this._arrangement = entries;
+        this.dispatchEvent(new CustomEvent('arrangementChanged', { detail: { arrangement: this.getArrangement() } }));
+    }
+
+    /**
+     * Enables or disables looping of the sequence.
+     * @param {boolean} loop - True to loop, false to stop at the end.
+     */
+    setLooping(loop) {
+        this._loop = loop;
+        this.dispatchEvent(new CustomEvent('loopingChanged', { detail: { loop: this._loop } }));
+    }
+
+    /**
+     * Sets the global swing amount, applied at scheduling time to every second cell.
+     * @param {number} amount - 0 for straight timing up to 1 for a full triplet feel.
+     */
+    setSwing(amount) {
+        if (!Number.isFinite(amount)) {
+            console.error("Swing must be a number between 0.0 and 1.0.");
+            return;
+        }
+        if (amount < 0 || amount > 1) {
+            console.warn("Swing must be between 0.0 and 1.0.");
+            amount = Math.max(0, Math.min(1, amount));
+        }
+        this._swing = amount;
+        this.dispatchEvent(new CustomEvent('swingChanged', { detail: { swing: this._swing } }));
+    }
+
+    /**
+     * Saves (or replaces) a groove template.
+     * @param {string} name - The template name.
+     * @param {number[]} offsets - Per-column timing offsets as a fraction of the cell duration (-0.5 to 0.5),
+     *                             repeated across the measure if shorter than it.
+     */
+    defineGroove(name, offsets) {
+        if (!Array.isArray(offsets) || offsets.length === 0 || offsets.some(offset => typeof offset !== 'number' || !isFinite(offset))) {
+            console.error("Groove offsets must be a non-empty array of numbers.");
+            return;
+        }
+        if (offsets.some(offset => offset < -0.5 || offset > 0.5)) {
+            console.warn("Groove offsets must be between -0.5 and 0.5 of a cell.");
+        }
+        this._grooves.set(name, offsets.map(offset => Math.max(-0.5, Math.min(0.5, offset))));
+        this.dispatchEvent(new CustomEvent('groovesChanged', { detail: { grooves: this.getGrooves() } }));
+    }
+
+    /**
+     * Deletes a groove template. If it is the applied groove, timing goes back to straight (plus swing and nudges).
+     * @param {string} name - The template name.
+     */
+    removeGroove(name) {
+        if (!this._grooves.delete(name)) {
+            console.warn(`Groove '${name}' does not exist.`);
+            return;
+        }
+        if (this._activeGroove === name) {
+            this.applyGroove(null);
+        }
+        this.dispatchEvent(new CustomEvent('groovesChanged', { detail: { grooves: this.getGrooves() } }));
+    }
+
+    /**
+     * Applies a saved groove template at scheduling time, or removes the applied one.
+     * @param {string|null} name - The template name, or null for no groove.
+     */
+    applyGroove(name) {
+        if (name !== null && !this._grooves.has(name)) {
+            console.error(`Groove '${name}' does not exist.`);
+            return;
+        }
+        this._activeGroove = name;
+        this.dispatchEvent(new CustomEvent('grooveApplied', { detail: { name } }));
+    }
+
+    /**
+     * Nudges a placed hit earlier or later without moving it on the grid.
+     * @param {string} trackId - The ID of the track.
+     * @param {number} columnIndex - The column index (0-based).
+     * @param {number} nudge - The offset as a fraction of the cell duration (-0.5 to 0.5); 0 removes the nudge.
+     */
+    setCellNudge(trackId, columnIndex, nudge) {
+        const track = this._tracks.get(trackId);
+        if (!track) {
+            console.warn(`Track with ID '${trackId}' does not exist.`);
+            return;
+        }
+        if (!track.cells.has(columnIndex)) {
+            console.warn(`No audio at column ${columnIndex} of track '${trackId}'.`);
+            return;
+        }
+        if (!Number.isFinite(nudge)) {
+            console.error("Cell nudge must be a number between -0.5 and 0.5 of a cell.");
+            return;
+        }
+        if (nudge < -0.5 || nudge > 0.5) {
+            console.warn("Cell nudge must be between -0.5 and 0.5 of a cell.");
+            nudge = Math.max(-0.5, Math.min(0.5, nudge));
+        }
+        if (nudge === 0) {
+            track.nudges.delete(columnIndex);
+        } else {
+            track.nudges.set(columnIndex, nudge);
+        }
+        this._rescheduleCell(trackId, columnIndex);
+        this.dispatchEvent(new CustomEvent('cellNudgeChanged', { detail: { trackId, columnIndex, nudge } }));
+    }
+
+    /**
+     * Registers a sample under an ID, so cells can refer to it by ID (see addAudioToGrid).
+     * @param {string} id - The sample ID (e.g. 'iya-open').
+     * @param {AudioBuffer|ArrayBuffer|string|URL|{voice: Object}} source - A decoded buffer, encoded audio (e.g. a WAV
+     *        file's bytes; the ArrayBuffer is detached by decoding), a URL to fetch it from, or a synthesized voice (see synthesizeVoice).
+     * @param {Object} [options]
+     * @param {boolean} [options.autoTrim=false] - Trims the silence before the sample's onset (see detectOnset), so its hits land on the grid.
+     * @returns {Promise<AudioBuffer|null>} The sample's buffer, or null if the ID is taken or the audio could not be loaded.
+     */
+    async registerSample(id, source, { autoTrim = false } = {}) {
+        if (typeof id !== 'string' || id.length === 0) {
+            console.error("Sample ID must be a non-empty string.");
+            return null;
+        }
+        if (this._samples.has(id)) {
+            console.error(`Sample '${id}' is already registered. Use replaceSample() to change it.`);
+            return null;
+        }
+        if (this._pendingSampleIds.has(id)) {
+            console.error(`Sample '${id}' is already being registered.`);
+            return null;
+        }
+        this._pendingSampleIds.add(id);
+        const buffer = await this._loadSample(source);
+        this._pendingSampleIds.delete(id);
+        if (!buffer) {
+            return null;
+        }
+        this._samples.set(id, buffer);
+        const onset = this._applyOnsetTrim(id, autoTrim);
+        this.dispatchEvent(new CustomEvent('sampleRegistered', { detail: { id, duration: buffer.duration, onset } }));
+        return buffer;
+    }
+
+    /**
+     * Replaces the audio of a registered sample. Every cell referring to it plays the new audio from then on,
+     * including hits already scheduled inside the look-ahead window that have not started yet.
+     * The sample's trim is reset, since its points belonged to the old audio. If the sample is replaced again or
+     * unregistered while the new audio is loading, this replacement is dropped.
+     * @param {string} id - The sample ID.
+     * @param {AudioBuffer|ArrayBuffer|string|URL|{voice: Object}} source - The new audio, as for registerSample().
+     * @param {Object} [options]
+     * @param {boolean} [options.autoTrim=false] - Trims the silence before the new audio's onset, as for registerSample().
+     * @returns {Promise<AudioBuffer|null>} The new buffer, or null if the sample is not registered, the audio could not be
+     *          loaded, or the replacement was dropped.
+     */
+    async replaceSample(id, source, { autoTrim = false } = {}) {
+        if (!this._samples.has(id)) {
+            console.error(`Sample '${id}' is not registered.`);
+            return null;
+        }
+        const request = {};
+        this._pendingReplacements.set(id, request);
+        const buffer = await this._loadSample(source);
+        if (this._pendingReplacements.get(id) !== request) {
+            console.warn(`The replacement of sample '${id}' was dropped: the sample was replaced again or unregistered while it loaded.`);
+            return null;
+        }
+        this._pendingReplacements.delete(id);
+        if (!buffer) {
+            return null;
+        }
+        this._samples.set(id, buffer);
+        this._sampleTrims.delete(id);
+        const onset = this._applyOnsetTrim(id, autoTrim);
+        this._rescheduleSampleReferences(id);
+        this.dispatchEvent(new CustomEvent('sampleReplaced', { detail: { id, duration: buffer.duration, onset, references: this._sampleReferences.get(id) || 0 } }));
+        return buffer;
+    }
+
+    /**
+     * Unregisters a sample, releasing its buffer. A sample still used by cells is kept (remove the cells first).
+     * @param {string} id - The sample ID.
+     */
+    unregisterSample(id) {
+        if (!this._samples.has(id)) {
+            console.warn(`Sample '${id}' is not registered.`);
+            return;
+        }
+        const references = this._sampleReferences.get(id) || 0;
+        if (references > 0) {
+            console.error(`Sample '${id}' is still used by ${references} cell(s). Remove them before unregistering it.`);
+            return;
+        }
+        this._samples.delete(id);
+        this._sampleTrims.delete(id);
+        this._pendingReplacements.delete(id); // A replacement still loading must not bring the sample back
+        this.dispatchEvent(new CustomEvent('sampleUnregistered', { detail: { id } }));
+    }
+
+    /**
+     * Unregisters every sample that no cell refers to.
+     * @returns {Array<string>} The IDs of the released samples.
+     */
+    releaseUnusedSamples() {
+        const unused = Array.from(this._samples.keys()).filter(id => !this._sampleReferences.has(id));
+        unused.forEach(id => this.unregisterSample(id));
+        return unused;
+    }
+
+    /**
+     * Gets a registered sample's buffer.
+     * @param {string} id - The sample ID.
+     * @returns {AudioBuffer|null} The buffer, or null if the sample is not registered.
+     */
+    getSample(id) {
+        return this._samples.get(id) || null;
+    }
+
+    /**
+     * Lists the registered samples with how many cells refer to each.
+     * @returns {Map<string, {duration: number, references: number}>} The samples by ID.
+     */
+    getSamples() {
+        const samples = new Map();
+        this._samples.forEach((buffer, id) => {
+            samples.set(id, { duration: buffer.duration, references: this._sampleReferences.get(id) || 0 });
+        });
+        return samples;
+    }
+
+    /**
+     * Sets where a registered sample starts and ends, and how long it fades in and out, for every hit that plays it
+     * by ID. Settings not given keep their current values. The trim is applied when each hit's source starts, so the
+     * buffer itself is left whole and the trim can be changed at any time; hits already scheduled inside the
+     * look-ahead window that have not started yet are re-scheduled with it.
+     * @param {string} id - The sample ID.
+     * @param {Object} trim - The trim, in seconds of the sample.
+     * @param {number} [trim.start] - Where the sample starts playing (0 = its beginning).
+     * @param {number} [trim.end] - Where the sample stops playing, after start (its duration = its end).
+     * @param {number} [trim.fadeIn] - Fade-in after the start point.
+     * @param {number} [trim.fadeOut] - Fade-out before the end point. Both fades must fit between start and end.
+     */
+    setSampleTrim(id, trim = {}) {
+        const buffer = this._samples.get(id);
+        if (!buffer) {
+            console.error(`Sample '${id}' is not registered.`);
+            return;
+        }
+        const changes = Object.fromEntries(Object.entries(trim || {}).filter(([, value]) => value !== undefined));
+        const { start, end, fadeIn, fadeOut } = { ...this.getSampleTrim(id), ...changes };
+        const error = this._validateTrim({ start, end, fadeIn, fadeOut }, buffer.duration);
+        if (error) {
+            console.error(`Invalid trim for sample '${id}': ${error}`);
+            return;
+        }
+        this._sampleTrims.set(id, { start, end, fadeIn, fadeOut });
+        this._rescheduleSampleReferences(id);
+        this.dispatchEvent(new CustomEvent('sampleTrimChanged', { detail: { id, trim: this.getSampleTrim(id) } }));
+    }
+
+    /**
+     * Checks a sample trim against the length of its sample.
+     * @param {{start: number, end: number, fadeIn: number, fadeOut: number}} trim - The trim, in seconds of the sample.
+     * @param {number} duration - The sample's duration in seconds.
+     * @returns {string|null} A description of the problem, or null if the trim is valid.
+     * @private
+     */
+    _validateTrim({ start, end, fadeIn, fadeOut }, duration) {
+        const isValid = [start, end, fadeIn, fadeOut].every(Number.isFinite) &&
+            start >= 0 && end > start && end <= duration &&
+            fadeIn >= 0 && fadeOut >= 0 && fadeIn + fadeOut <= end - start;
+        return isValid ? null : `it needs 0 <= start < end <= ${duration} seconds, with fades that fit between them.`;
+    }
+
+    /**
+     * Gets a registered sample's trim.
+     * @param {string} id - The sample ID.
+     * @returns {{start: number, end: number, fadeIn: number, fadeOut: number}|null} The trim in seconds
+     *          (the whole sample without fades if it was never trimmed), or null if the sample is not registered.
+     */
+    getSampleTrim(id) {
+        const buffer = this._samples.get(id);
+        if (!buffer) {
+            return null;
+        }
+        return { ...(this._sampleTrims.get(id) || { start: 0, end: buffer.duration, fadeIn: 0, fadeOut: 0 }) };
+    }
+
+    /**
+     * Finds where a sample's first transient begins, to suggest a trim of the silence before it: a sample that
+     * starts late makes every hit land late relative to the grid. The onset is the first moment the sample comes
+     * within the threshold of its peak level, less a 2 ms pre-roll so the attack is kept whole.
+     * @param {string|AudioBuffer} sample - A registered sample ID, or a buffer.
+     * @param {Object} [options]
+     * @param {number} [options.threshold=-30] - The level that counts as the onset, in dB relative to the sample's peak (-60 to 0).
+     * @returns {number|null} The onset in seconds from the start of the sample (0 for a sample that starts right away,
+     *          or is silent), or null if the sample is not registered or the threshold is invalid.
+     */
+    detectOnset(sample, { threshold = MultiTrackPlayer._ONSET_THRESHOLD_DB } = {}) {
+        const buffer = typeof sample === 'string' ? this._samples.get(sample) : sample;
+        if (!(buffer instanceof AudioBuffer)) {
+            console.error(`Sample '${sample}' is not registered.`);
+            return null;
+        }
+        if (!Number.isFinite(threshold) || threshold < -60 || threshold > 0) {
+            console.error("Onset threshold must be between -60 and 0 dB.");
+            return null;
+        }
+        const channels = [];
+        for (let channel = 0; channel < buffer.numberOfChannels; channel++) {
+            channels.push(buffer.getChannelData(channel));
+        }
+        let peak = 0;
+        channels.forEach(data => {
+            for (let i = 0; i < data.length; i++) {
+                peak = Math.max(peak, Math.abs(data[i]));
+            }
+        });
+        if (peak === 0) {
+            return 0;
+        }
+        const onsetLevel = peak * Math.pow(10, threshold / 20);
+        let onsetIndex = buffer.length;
+        channels.forEach(data => {
+            const index = data.findIndex(value => Math.abs(value) >= onsetLevel);
+            if (index !== -1) {
+                onsetIndex = Math.min(onsetIndex, index);
+            }
+        });
+        return Math.max(0, onsetIndex / buffer.sampleRate - MultiTrackPlayer._ONSET_PRE_ROLL);
+    }
+
+    /**
+     * Detects a newly loaded sample's onset and, if asked, trims the silence before it.
+     * @param {string} id - The sample ID.
+     * @param {boolean} autoTrim - Whether to trim the sample to its onset.
+     * @returns {number} The onset in seconds, reported as a suggested trim start.
+     * @private
+     */
+    _applyOnsetTrim(id, autoTrim) {
+        const onset = this.detectOnset(id);
+        if (autoTrim && onset > 0) {
+            this._sampleTrims.set(id, { start: onset, end: this._samples.get(id).duration, fadeIn: 0, fadeOut: 0 });
+        }
+        return onset;
+    }
+
+    /**
+     * Synthesizes a drum voice: a membrane model whose struck head sounds a fundamental and its first overtone,
+     * with the pitch falling from a bend as the head settles, plus a noise burst for the attack or a slap.
+     * The voice is rendered once into an AudioBuffer at the AudioContext's sample rate (normalized to the same peak
+     * level whatever its settings), so it plays like any sample. A cell or layer can also hold {voice} directly
+     * (see addAudioToGrid), and registerSample() accepts {voice} as a source.
+     * @param {Object} [voice] - The voice's settings; missing ones take their defaults.
+     * @param {number} [voice.pitch=200] - Fundamental in Hz (20 to 2000).
+     * @param {number} [voice.decay=0.4] - Seconds for the tone to die away (0.02 to 4).
+     * @param {number} [voice.bend=0.5] - How far above the fundamental the pitch starts, as a ratio (0 to 4).
+     * @param {number} [voice.noise=0.1] - Share of the noise burst in the mix (0 to 1).
+     * @param {number} [voice.noiseDecay=0.05] - Seconds for the noise burst to die away (0.005 to 1).
+     * @returns {AudioBuffer|null} The rendered voice (the same buffer for the same settings), or null if a setting is out of range.
+     */
+    synthesizeVoice(voice = {}) {
+        const settings = this._normalizeVoice(voice);
+        if (!settings) {
+            const ranges = Object.entries(MultiTrackPlayer._VOICE_PARAMETERS).map(([name, { min, max }]) => `${name} ${min}-${max}`);
+            console.error(`Invalid voice settings. Ranges: ${ranges.join(', ')}.`);
+            return null;
+        }
+        return this._getVoiceBuffer(settings);
+    }
+
+    /**
+     * Fills in a voice's default settings.
+     * @param {Object} voice - The voice's settings.
+     * @returns {{pitch: number, decay: number, bend: number, noise: number, noiseDecay: number}|null}
+     *          The complete settings, or null if one is not a number in its range.
+     * @private
+     */
+    _normalizeVoice(voice) {
+        if (typeof voice !== 'object' || voice === null) {
+            return null;
+        }
+        const settings = {};
+        for (const [name, { min, max, default: defaultValue }] of Object.entries(MultiTrackPlayer._VOICE_PARAMETERS)) {
+            const value = voice[name] !== undefined ? voice[name] : defaultValue;
+            if (!Number.isFinite(value) || value < min || value > max) {
+                return null;
+            }
+            settings[name] = value;
+        }
+        return settings;
+    }
+
+    /**
+     * Gets the rendered buffer of a voice, synthesizing it the first time.
+     * @param {{pitch: number, decay: number, bend: number, noise: number, noiseDecay: number}} settings - Complete voice settings.
+     * @returns {AudioBuffer} The voice.
+     * @private
+     */
+    _getVoiceBuffer(settings) {
+        const key = JSON.stringify(settings);
+        if (!this._voiceBuffers.has(key)) {
+            this._voiceBuffers.set(key, this._renderVoice(settings));
+        }
+        return this._voiceBuffers.get(key);
+    }
+
+    /**
+     * Renders a membrane voice into a mono buffer. The noise is seeded so every render of a voice is identical.
+     * The voice is computed sample by sample on the main thread rather than with oscillator and gain nodes in an
+     * OfflineAudioContext: an offline render only resolves asynchronously, while synthesizeVoice() and the cells that
+     * hold a voice need its buffer at once (to validate and schedule a hit). A voice lasts at most 4 seconds of mono
+     * audio and is rendered once per settings (see _getVoiceBuffer), so this costs a few milliseconds for a typical
+     * voice and a few tens for the longest, paid once.
+     * @param {{pitch: number, decay: number, bend: number, noise: number, noiseDecay: number}} settings - Complete voice settings.
+     * @returns {AudioBuffer} The voice, peaking at 0.9.
+     * @private
+     */
+    _renderVoice({ pitch, decay, bend, noise, noiseDecay }) {
+        const sampleRate = this.audioContext.sampleRate;
+        const length = Math.max(1, Math.round(Math.max(decay, noiseDecay) * sampleRate));
+        const buffer = this.audioContext.createBuffer(1, length, sampleRate);
+        const data = buffer.getChannelData(0);
+        const toneRate = Math.log(1000) / decay; // Exponential decay reaching -60 dB after 'decay' seconds
+        const noiseRate = Math.log(1000) / noiseDecay;
+        const attackLength = Math.max(1, Math.round(0.001 * sampleRate)); // 1 ms fade-in avoids a click
+        let phase = 0;
+        let seed = 1;
+        let previousWhite = 0;
+        let peak = 0;
+        for (let i = 0; i < length; i++) {
+            const t = i / sampleRate;
+            // The pitch falls from (1 + bend) times the fundamental within a few tens of milliseconds
+            const frequency = pitch * (1 + bend * Math.exp(-t / 0.02));
+            phase += 2 * Math.PI * frequency / sampleRate;
+            // Fundamental and the first overtone of a circular membrane (1.594 times higher, dying away faster)
+            const tone = Math.sin(phase) * Math.exp(-toneRate * t) + 0.3 * Math.sin(phase * 1.594) * Math.exp(-2 * toneRate * t);
+            seed = (seed * 1664525 + 1013904223) % 4294967296; // Linear congruential generator
+            const white = seed / 2147483648 - 1;
+            const burst = (white - previousWhite) / 2 * Math.exp(-noiseRate * t); // Differenced noise is brighter, like a slap
+            previousWhite = white;
+            data[i] = (tone * (1 - noise) + burst * noise) * Math.min(1, i / attackLength);
+            peak = Math.max(peak, Math.abs(data[i]));
+        }
+        if (peak > 0) {
+            for (let i = 0; i < length; i++) {
+                data[i] *= 0.9 / peak;
+            }
+        }
+        return buffer;
+    }
+
+    /**
+     * Loads a sample's audio from any of the sources registerSample() accepts.
+     * @param {AudioBuffer|ArrayBuffer|string|URL|{voice: Object}} source - The audio.
+     * @returns {Promise<AudioBuffer|null>} The decoded buffer, or null (after logging why) if it could not be loaded.
+     * @private
+     */
+    async _loadSample(source) {
+        try {
+            if (source instanceof AudioBuffer) {
+                return source;
+            }
+            if (source && typeof source === 'object' && source.voice !== undefined) {
+                return this.synthesizeVoice(source.voice);
+            }
+            if (source instanceof ArrayBuffer) {
+                return await this.audioContext.decodeAudioData(source);
+            }
+            if (typeof source === 'string' || source instanceof URL) {
+                const response = await fetch(source);
+                if (!response.ok) {
+                    throw new Error(`HTTP ${response.status} for ${source}`);
+                }
+                return await this.audioContext.decodeAudioData(await response.arrayBuffer());
+            }
+        } catch (e) {
+            console.error("Could not load sample:", e);
+            return null;
+        }
+        console.error("A sample must be an AudioBuffer, an ArrayBuffer of encoded audio, a URL, or a synthesized {voice}.");
+        return null;
+    }
+
+    /**
+     * Lists the sample IDs a cell's audio data refers to (directly or in its layers), each once.
+     * @param {*} audioData - The cell's audio data.
+     * @returns {Array<string>}
+     * @private
+     */
+    _getSampleIds(audioData) {
+        if (typeof audioData === 'string') {
+            return [audioData];
+        }
+        if (audioData && Array.isArray(audioData.layers)) {
+            return Array.from(new Set(audioData.layers.filter(layer => layer && typeof layer.sample === 'string').map(layer => layer.sample)));
+        }
+        return [];
+    }
+
+    /**
+     * Updates the reference counts of the samples a cell's audio data refers to, as the cell is placed or removed.
+     * @param {*} audioData - The cell's audio data.
+     * @param {number} change - 1 when the cell is placed, -1 when it is removed.
+     * @private
+     */
+    _countSampleReferences(audioData, change) {
+        this._getSampleIds(audioData).forEach(id => {
+            const count = (this._sampleReferences.get(id) || 0) + change;
+            if (count > 0) {
+                this._sampleReferences.set(id, count);
+            } else {
+                this._sampleReferences.delete(id);
+            }
+        });
+    }
+
+    /**
+     * Re-schedules the cells that refer to a sample by ID, after its audio or trim changed. Only needed while
+     * playing, for hits already scheduled inside the look-ahead window, so the grid is not scanned otherwise.
+     * @param {string} id - The sample ID.
+     * @private
+     */
+    _rescheduleSampleReferences(id) {
+        if (!this._isPlaying || !this._sampleReferences.has(id)) {
+            return;
+        }
+        this._tracks.forEach((track, trackId) => {
+            track.cells.forEach((audioData, columnIndex) => {
+                if (this._getSampleIds(audioData).includes(id)) {
+                    this._rescheduleCell(trackId, columnIndex);
+                }
+            });
+        });
+    }
+
+    /**
+     * Adds a new track to the player.
+     * @param {string} trackId - A unique identifier for the track.
+     */
+    addTrack(trackId) {
+        if (this._tracks.has(trackId)) {
+            console.warn(`Track with ID '${trackId}' already exists.`);
+            return;
+        }
+        const gainNode = this.audioContext.createGain();
+        const inserts = this._createInserts(gainNode);
+        // Post-fader sends into the effect buses, tapped after the pan; silent until a send level is set
+        const sends = {};
+        Object.keys(this._sendBuses).forEach(bus => {
+            sends[bus] = this.audioContext.createGain();
+            sends[bus].gain.value = 0;
+            inserts.panner.connect(sends[bus]);
+            sends[bus].connect(this._sendBuses[bus].input);
+        });
+        const meter = this.audioContext.createAnalyser();
+        inserts.panner.connect(meter);
+        // Initialize track with mute state and last volume
+        this._tracks.set(trackId, {
+            gainNode: gainNode, cells: new Map(), nudges: new Map(), velocities: new Map(), cycle: null,
+            playMode: 'poly', chokeGroup: null, chokeFadeTime: 0.02,
+            inserts, insertSettings: MultiTrackPlayer._defaultInsertSettings(),
+            sends, sendLevels: { reverb: 0, delay: 0 }, meter, _isMuted: false, _isSoloed: false, _lastVolume: 1.0
+        });
+        this.dispatchEvent(new CustomEvent('trackAdded', { detail: { trackId } }));
+    }
+
+    /**
+     * Builds a track's insert chain around its volume/mute gain node:
+     * 3-band EQ -> compressor -> volume/mute -> stereo pan -> master.
+     * The EQ starts flat, the compressor off and the pan centred. The compressor always feeds the track's gain node,
+     * but the EQ only feeds the compressor while it is enabled (see setTrackCompressor).
+     * @param {GainNode} gainNode - The track's volume/mute gain node.
+     * @returns {{eqLow: BiquadFilterNode, eqMid: BiquadFilterNode, eqHigh: BiquadFilterNode, compressor: DynamicsCompressorNode, panner: StereoPannerNode}}
+     *          The insert nodes; sources connect to eqLow.
+     * @private
+     */
+    _createInserts(gainNode) {
+        const defaults = MultiTrackPlayer._defaultInsertSettings();
+        const eqLow = this.audioContext.createBiquadFilter();
+        eqLow.type = 'lowshelf';
+        eqLow.frequency.value = defaults.eq.lowFrequency;
+        eqLow.gain.value = 0;
+        const eqMid = this.audioContext.createBiquadFilter();
+        eqMid.type = 'peaking';
+        eqMid.frequency.value = defaults.eq.midFrequency;
+        eqMid.Q.value = 1;
+        eqMid.gain.value = 0;
+        const eqHigh = this.audioContext.createBiquadFilter();
+        eqHigh.type = 'highshelf';
+        eqHigh.frequency.value = defaults.eq.highFrequency;
+        eqHigh.gain.value = 0;
+        const compressor = this.audioContext.createDynamicsCompressor();
+        compressor.threshold.value = 0;
+        compressor.ratio.value = 1;
+        const panner = this.audioContext.createStereoPanner();
+
+        eqLow.connect(eqMid);
+        eqMid.connect(eqHigh);
+        eqHigh.connect(gainNode);
+        compressor.connect(gainNode);
+        gainNode.connect(panner);
+        panner.connect(this.masterGainNode);
+        return { eqLow, eqMid, eqHigh, compressor, panner };
+    }
+
+    /**
+     * The insert settings of a new track: centred, flat EQ, compressor off.
+     * @returns {{pan: number, eq: {low: number, mid: number, high: number, lowFrequency: number, midFrequency: number, highFrequency: number},
+     *            compressor: {enabled: boolean, threshold: number, ratio: number, knee: number, attack: number, release: number}}}
+     * @private
+     */
+    static _defaultInsertSettings() {
+        return {
+            pan: 0,
+            eq: { low: 0, mid: 0, high: 0, lowFrequency: 200, midFrequency: 1000, highFrequency: 5000 },
+            compressor: { enabled: false, threshold: -24, ratio: 4, knee: 6, attack: 0.01, release: 0.2 }
+        };
+    }
+
+    /**
+     * Builds the master output stage: masterGainNode -> limiter compressor -> soft clipper -> destination,
+     * with the output meter at the end. Until the limiter is enabled, masterGainNode skips the compressor and
+     * the clipper has no curve, so the stage passes the signal through unchanged.
+     * @private
+     */
+    _createMasterLimiter() {
+        const compressor = this.audioContext.createDynamicsCompressor();
+        const clipper = this.audioContext.createWaveShaper();
+        const meter = this.audioContext.createAnalyser();
+        this.masterGainNode.connect(clipper);
+        compressor.connect(clipper);
+        clipper.connect(this.audioContext.destination);
+        this.masterGainNode.connect(meter);
+        this._masterLimiter = { compressor, clipper, meter, isEngaged: false };
+        this._clipMeterData = new Float32Array(meter.fftSize);
+        this._outputMeter = this.audioContext.createAnalyser();
+        clipper.connect(this._outputMeter);
+        this._meterData = new Float32Array(this._outputMeter.fftSize);
+        this._applyLimiterSettings();
+    }
+
+    /**
+     * Applies the limiter settings to the master output stage nodes. A disabled limiter is connected around:
+     * the compressor is taken out of the signal path, so it adds no latency, and the clipper has no curve.
+     * @private
+     */
+    _applyLimiterSettings() {
+        const { compressor, clipper } = this._masterLimiter;
+        const { enabled, threshold, release } = this._limiterSettings;
+        const now = this.audioContext.currentTime;
+        if (enabled !== this._masterLimiter.isEngaged) {
+            this.masterGainNode.disconnect(enabled ? clipper : compressor);
+            this.masterGainNode.connect(enabled ? compressor : clipper);
+            this._masterLimiter.isEngaged = enabled;
+        }
+        compressor.threshold.setValueAtTime(threshold, now);
+        compressor.ratio.setValueAtTime(20, now);
+        compressor.knee.setValueAtTime(0, now);
+        compressor.attack.setValueAtTime(0.001, now);
+        compressor.release.setValueAtTime(release, now);
+        clipper.curve = enabled ? MultiTrackPlayer._createSoftClipCurve() : null;
+    }
+
+    /**
+     * Builds a soft clipping curve: linear up to 0.7, then bending smoothly towards a ceiling just under 1.0.
+     * @returns {Float32Array} The WaveShaper curve, covering inputs from -1 to 1.
+     * @private
+     */
+    static _createSoftClipCurve() {
+        const knee = 0.7;
+        const curve = new Float32Array(1024);
+        for (let i = 0; i < curve.length; i++) {
+            const x = (i / (curve.length - 1)) * 2 - 1;
+            const magnitude = Math.abs(x);
+            const y = magnitude <= knee ? magnitude : knee + (1 - knee) * Math.tanh((magnitude - knee) / (1 - knee));
+            curve[i] = Math.sign(x) * y;
+        }
+        return curve;
+    }
+
+    /**
+     * Counts a clip if the mix went over 0 dBFS in the meter's latest window, and announces it.
+     * Called on every scheduler tick; the meter window (2048 samples) is about as long as a tick.
+     * @private
+     */
+    _checkClipping() {
+        this._masterLimiter.meter.getFloatTimeDomainData(this._clipMeterData);
+        let peak = 0;
+        for (let i = 0; i < this._clipMeterData.length; i++) {
+            peak = Math.max(peak, Math.abs(this._clipMeterData[i]));
+        }
+        if (peak < 1) {
+            return;
+        }
+        this._clipCount++;
+        this.dispatchEvent(new CustomEvent('masterClipped', {
+            detail: { count: this._clipCount, peak, isLimited: this._limiterSettings.enabled }
+        }));
+    }
+
+    /**
+     * Reads a meter's latest window of samples and updates its peak hold.
+     * @param {AnalyserNode} analyser - The meter.
+     * @param {string} key - 'master' or the track ID, for the peak hold.
+     * @returns {{peak: number, rms: number, peakHold: number, peakDb: number, rmsDb: number, peakHoldDb: number}}
+     *          Linear levels (1.0 is full scale) and the same in dBFS (-Infinity for silence).
+     * @private
+     */
+    _measureLevel(analyser, key) {
+        analyser.getFloatTimeDomainData(this._meterData);
+        let peak = 0;
+        let sumOfSquares = 0;
+        for (let i = 0; i < this._meterData.length; i++) {
+            peak = Math.max(peak, Math.abs(this._meterData[i]));
+            sumOfSquares += this._meterData[i] * this._meterData[i];
+        }
+        const rms = Math.sqrt(sumOfSquares / this._meterData.length);
+
+        const now = this.audioContext.currentTime;
+        let hold = this._peakHolds.get(key);
+        if (!hold || peak >= hold.peak || now - hold.time > MultiTrackPlayer._PEAK_HOLD_TIME) {
+            hold = { peak, time: now };
+            this._peakHolds.set(key, hold);
+        }
+        const toDb = level => (level > 0 ? 20 * Math.log10(level) : -Infinity);
+        return { peak, rms, peakHold: hold.peak, peakDb: toDb(peak), rmsDb: toDb(rms), peakHoldDb: toDb(hold.peak) };
+    }
+
+    /**
+     * Emits the 'levels' event, at most every _levelsInterval, while playing and until the meters fall silent after.
+     * Called on every scheduler tick.
+     * @private
+     */
+    _emitLevels() {
+        if (!this._isPlaying && !this._levelsActive) {
+            return;
+        }
+        const now = this.audioContext.currentTime;
+        if (now - this._lastLevelsTime < this._levelsInterval) {
+            return;
+        }
+        this._lastLevelsTime = now;
+        const levels = this.getLevels();
+        this._levelsActive = this._isPlaying || [levels.master, ...Object.values(levels.tracks)].some(level => level.peakHold > 0);
+        this.dispatchEvent(new CustomEvent('levels', { detail: levels }));
+    }
+
+    /**
+     * Builds the shared send buses: a convolution reverb with a generated room impulse response, and a
+     * feedback delay whose time follows the tempo. Each bus returns to the master through its return gain.
+     * @private
+     */
+    _createSendBuses() {
+        const reverbInput = this.audioContext.createGain();
+        const convolver = this.audioContext.createConvolver();
+        const reverbReturn = this.audioContext.createGain();
+        reverbInput.connect(convolver);
+        convolver.connect(reverbReturn);
+        reverbReturn.connect(this.masterGainNode);
+
+        const delayInput = this.audioContext.createGain();
+        const delay = this.audioContext.createDelay(MultiTrackPlayer._MAX_DELAY_TIME);
+        const feedback = this.audioContext.createGain();
+        const delayReturn = this.audioContext.createGain();
+        delayInput.connect(delay);
+        delay.connect(feedback);
+        feedback.connect(delay); // Each repeat feeds back in, quieter
+        delay.connect(delayReturn);
+        delayReturn.connect(this.masterGainNode);
+
+        this._sendBuses = {
+            reverb: { input: reverbInput, convolver, return: reverbReturn },
+            delay: { input: delayInput, delay, feedback, return: delayReturn }
+        };
+        convolver.buffer = this._generateImpulseResponse(this._reverbSettings.duration, this._reverbSettings.decay);
+        feedback.gain.value = this._delaySettings.feedback;
+        reverbReturn.gain.value = this._returnLevels.reverb;
+        delayReturn.gain.value = this._returnLevels.delay;
+        this._updateDelayTime(this._calculateCellDuration(), this.audioContext.currentTime);
+    }
+
+    /**
+     * Generates a stereo room impulse response: decaying noise, different in each channel for width.
+     * The noise is seeded so renders of the same settings are identical.
+     * @param {number} duration - Length of the reverb tail in seconds.
+     * @param {number} decay - How fast the tail dies away (higher is faster).
+     * @returns {AudioBuffer} The impulse response, at the AudioContext's sample rate.
+     * @private
+     */
+    _generateImpulseResponse(duration, decay) {
+        const sampleRate = this.audioContext.sampleRate;
+        const length = Math.max(1, Math.round(duration * sampleRate));
+        const impulse = this.audioContext.createBuffer(2, length, sampleRate);
+        let seed = 1;
+        for (let channel = 0; channel < 2; channel++) {
+            const data = impulse.getChannelData(channel);
+            for (let i = 0; i < length; i++) {
+                seed = (seed * 1664525 + 1013904223) % 4294967296; // Linear congruential generator
+                const noise = seed / 2147483648 - 1;
+                data[i] = noise * Math.pow(1 - i / length, decay);
+            }
+        }
+        return impulse;
+    }
+
+    /**
+     * Sets the delay time from the delay length in cells, if it changed.
+     * @param {number} cellDuration - The current cell duration in seconds.
+     * @param {number} time - The audioContext time from which the new delay time applies.
+     * @private
+     */
+    _updateDelayTime(cellDuration, time) {
+        const delayTime = Math.min(MultiTrackPlayer._MAX_DELAY_TIME, this._delaySettings.cells * cellDuration);
+        if (delayTime === this._delayTime) {
+            return;
+        }
+        this._delayTime = delayTime;
+        this._sendBuses.delay.delay.delayTime.setValueAtTime(delayTime, Math.max(this.audioContext.currentTime, time));
+    }
+
+    /**
+     * Removes a track from the player. Can be called while playing; the track's sounds stop immediately.
+     * @param {string} trackId - The ID of the track to remove.
+     */
+    removeTrack(trackId) {
+        if (!this._tracks.has(trackId)) {
+            console.warn(`Track with ID '${trackId}' does not exist.`);
+            return;
+        }
+        const track = this._tracks.get(trackId);
+        this._stopSources(info => info.trackId === trackId); // Silence anything still scheduled or ringing
+        Object.values(track.inserts).forEach(node => node.disconnect());
+        Object.values(track.sends).forEach(node => node.disconnect());
+        track.meter.disconnect();
+        this._peakHolds.delete(trackId);
+        track.gainNode.disconnect(); // Disconnect from master
+        track.cells.forEach(audioData => this._countSampleReferences(audioData, -1));
+        track.cells.clear(); // Clear all audio buffers
+        track.nudges.clear();
+        track.velocities.clear();
+        this._tracks.delete(trackId);
+        this._applyTrackGains(); // Removing the last soloed track brings the others back
+        this.dispatchEvent(new CustomEvent('trackRemoved', { detail: { trackId } }));
+    }
+
+    /**
+     * Places audio data at a specific grid cell: a single AudioBuffer, or a hit descriptor whose layers are played
+     * together, each with its own buffer, gain, playback rate and start offset (seconds after the hit, negative for
+     * a grace note before it). This lets any instrument define composite strokes (open + slap, muffled + bass, ...).
+     * The older object with open/slap AudioBuffers and optional slapMultiplier is still accepted.
+     * Instead of a buffer, a cell or layer can name a registered sample (see registerSample), so it follows replaceSample(),
+     * or hold a synthesized drum voice, {voice: {pitch, decay, ...}} (see synthesizeVoice), which needs no audio files.
+     * Can be called while playing or paused; the change is heard the next time the cell is scheduled,
+     * or immediately if the cell is already scheduled inside the look-ahead window.
+     * @param {string} trackId - The ID of the track.
+     * @param {number} columnIndex - The column index (0-based).
+     * @param {string|AudioBuffer|{voice: Object}|{layers: Array<{buffer?: AudioBuffer, sample?: string, voice?: Object, gain?: number, playbackRate?: number, offset?: number}>}|{open: AudioBuffer, slap: AudioBuffer, slapMultiplier?: number}} audioData
+     *        A registered sample ID, the decoded audio buffer, a synthesized voice, or the hit's layers (each with a buffer,
+     *        a sample ID or a voice; gain and playback rate default to 1, offset to 0).
+     * @param {number} [velocity=1.0] - The velocity of the hit (0.0 to 1.0), e.g. lower for ghost notes. MIDI-style
+     *        velocities (1 to 127) are not supported: values above 1.0 are clamped to it.
+     */
+    addAudioToGrid(trackId, columnIndex, audioData, velocity = 1.0) {
+        const track = this._tracks.get(trackId);
+        if (!track) {
+            console.error(`Track with ID '${trackId}' does not exist.`);
+            return;
+        }
+        if (columnIndex < 0) {
+            console.error("Column index must be non-negative.");
+            return;
+        }
+        if (!this._getHitLayers(audioData)) {
+            console.error("Audio data must be a registered sample ID, an AudioBuffer, a synthesized {voice}, or a hit with layers of {buffer, sample or voice, gain >= 0, playbackRate > 0, offset}.");
+            return;
+        }
+        if (!Number.isFinite(velocity)) {
+            console.error("Velocity must be a number between 0.0 and 1.0.");
+            return;
+        }
+        if (velocity < 0 || velocity > 1) {
+            console.warn("Velocity must be between 0.0 and 1.0.");
+            velocity = Math.max(0, Math.min(1, velocity));
+        }
+        this._countSampleReferences(track.cells.get(columnIndex), -1); // The hit being replaced, if any
+        this._countSampleReferences(audioData, 1);
+        track.cells.set(columnIndex, audioData); // Store the audioData directly
+        track.velocities.set(columnIndex, velocity);
+        this._rescheduleCell(trackId, columnIndex);
+        this.dispatchEvent(new CustomEvent('audioAddedToGrid', { detail: { trackId, columnIndex, audioData, velocity } }));
+    }
+
+    /**
+     * Removes audio from a specific grid cell. Can be called while playing or paused;
+     * a hit already scheduled inside the look-ahead window is cancelled if it has not started yet.
+     * @param {string} trackId - The ID of the track.
+     * @param {number} columnIndex - The column index (0-based).
+     */
+    removeAudioFromGrid(trackId, columnIndex) {
+        const track = this._tracks.get(trackId);
+        if (!track) {
+            console.warn(`Track with ID '${trackId}' does not exist.`);
+            return;
+        }
+        if (track.cells.has(columnIndex)) {
+            this._countSampleReferences(track.cells.get(columnIndex), -1);
+            track.cells.delete(columnIndex);
+            track.nudges.delete(columnIndex); // The nudge and velocity belong to the removed hit
+            track.velocities.delete(columnIndex);
+            this._rescheduleCell(trackId, columnIndex);
+            this.dispatchEvent(new CustomEvent('audioRemovedFromGrid', { detail: { trackId, columnIndex } }));
+        }
+    }
+
+    /**
+     * Removes the audio from every cell of every track, keeping the tracks and their settings. Can be called while
+     * playing or paused, like removeAudioFromGrid().
+     */
+    clearGrid() {
+        this._tracks.forEach((track, trackId) => {
+            const columns = Array.from(track.cells.keys());
+            track.cells.clear();
+            track.nudges.clear();
+            track.velocities.clear();
+            columns.forEach(columnIndex => this._rescheduleCell(trackId, columnIndex));
+        });
+        this._sampleReferences.clear();
+        this.dispatchEvent(new CustomEvent('gridCleared'));
+    }
+
+    /**
+     * Changes the velocity of a placed hit, e.g. to mark accents and ghost notes.
+     * @param {string} trackId - The ID of the track.
+     * @param {number} columnIndex - The column index (0-based).
+     * @param {number} velocity - The velocity of the hit (0.0 to 1.0; values above 1.0 are clamped to it).
+     */
+    setCellVelocity(trackId, columnIndex, velocity) {
+        const track = this._tracks.get(trackId);
+        if (!track) {
+            console.warn(`Track with ID '${trackId}' does not exist.`);
+            return;
+        }
+        if (!track.cells.has(columnIndex)) {
+            console.warn(`No audio at column ${columnIndex} of track '${trackId}'.`);
+            return;
+        }
+        if (!Number.isFinite(velocity)) {
+            console.error("Velocity must be a number between 0.0 and 1.0.");
+            return;
+        }
+        if (velocity < 0 || velocity > 1) {
+            console.warn("Velocity must be between 0.0 and 1.0.");
+            velocity = Math.max(0, Math.min(1, velocity));
+        }
+        track.velocities.set(columnIndex, velocity);
+        this._rescheduleCell(trackId, columnIndex);
+        this.dispatchEvent(new CustomEvent('cellVelocityChanged', { detail: { trackId, columnIndex, velocity } }));
+    }
+
+    /**
+     * Sets the volume for a specific track.
+     * @param {string} trackId - The ID of the track.
+     * @param {number} volume - The volume level (0.0 to 1.0).
+     */
+    setTrackVolume(trackId, volume) {
+        const track = this._tracks.get(trackId);
+        if (!track) {
+            console.warn(`Track with ID '${trackId}' does not exist.`);
+            return;
+        }
+        if (volume < 0 || volume > 1) {
+            console.warn("Volume must be between 0.0 and 1.0.");
+            volume = Math.max(0, Math.min(1, volume));
+        }
+        track._lastVolume = volume; // Always store the last desired volume
+        // Only update gain if audible, otherwise, store for when unmuted
+        this._applyTrackGain(track);
+        this.dispatchEvent(new CustomEvent('trackVolumeChanged', { detail: { trackId, volume } }));
+    }
+
+    /**
+     * Mutes or unmutes a specific track.
+     * @param {string} trackId - The ID of the track.
+     * @param {boolean} isMuted - True to mute, false to unmute.
+     */
+    setTrackMuted(trackId, isMuted) {
+        const track = this._tracks.get(trackId);
+        if (!track) {
+            console.warn(`Track with ID '${trackId}' does not exist.`);
+            return;
+        }
+
+        track._isMuted = isMuted;
+        this._applyTrackGain(track); // Mute, or restore last volume
+        this.dispatchEvent(new CustomEvent('trackMuteChanged', { detail: { trackId, isMuted } }));
+    }
+
+    /**
+     * Solos or unsolos a specific track. While any track is soloed, only soloed tracks are heard, even if muted;
+     * the mute states are kept and apply again once no track is soloed.
+     * @param {string} trackId - The ID of the track.
+     * @param {boolean} isSoloed - True to solo, false to unsolo.
+     * @param {Object} [options]
+     * @param {boolean} [options.exclusive=false] - True to also unsolo every other track, so only this one is heard
+     *        (or, when unsoloing, to clear all solos).
+     */
+    setTrackSolo(trackId, isSoloed, { exclusive = false } = {}) {
+        const track = this._tracks.get(trackId);
+        if (!track) {
+            console.warn(`Track with ID '${trackId}' does not exist.`);
+            return;
+        }
+
+        const changed = [];
+        this._tracks.forEach((otherTrack, otherTrackId) => {
+            const newState = otherTrackId === trackId ? isSoloed : (exclusive ? false : otherTrack._isSoloed);
+            if (otherTrack._isSoloed !== newState) {
+                otherTrack._isSoloed = newState;
+                changed.push(otherTrackId);
+            }
+        });
+        this._applyTrackGains();
+        const soloedTracks = this.getSoloedTracks();
+        changed.forEach(changedTrackId => {
+            this.dispatchEvent(new CustomEvent('trackSoloChanged', {
+                detail: { trackId: changedTrackId, isSoloed: this._tracks.get(changedTrackId)._isSoloed, soloedTracks }
+            }));
+        });
+    }
+
+    /**
+     * Gets the IDs of the soloed tracks.
+     * @returns {Array<string>} The soloed tracks, in the order they were added; empty when nothing is soloed.
+     */
+    getSoloedTracks() {
+        return Array.from(this._tracks).filter(([, track]) => track._isSoloed).map(([trackId]) => trackId);
+    }
+
+    /**
+     * Checks whether a track is heard: soloed while any track is soloed, otherwise not muted.
+     * @param {Object} track - The track record.
+     * @returns {boolean}
+     * @private
+     */
+    _isTrackAudible(track) {
+        const isAnySoloed = Array.from(this._tracks.values()).some(otherTrack => otherTrack._isSoloed);
+        return isAnySoloed ? track._isSoloed : !track._isMuted;
+    }
+
+    /**
+     * Sets a track's gain to its volume if it is audible, or silences it.
+     * @param {Object} track - The track record.
+     * @private
+     */
+    _applyTrackGain(track) {
+        const gain = this._isTrackAudible(track) ? track._lastVolume : 0;
+        track.gainNode.gain.setValueAtTime(gain, this.audioContext.currentTime);
+    }
+
+    /**
+     * Re-applies every track's gain, after the solo states changed.
+     * @private
+     */
+    _applyTrackGains() {
+        this._tracks.forEach(track => this._applyTrackGain(track));
+    }
+
+    /**
+     * Sets a track's stereo position.
+     * @param {string} trackId - The ID of the track.
+     * @param {number} pan - From -1 (left) through 0 (centre) to 1 (right).
+     */
+    setTrackPan(trackId, pan) {
+        const track = this._tracks.get(trackId);
+        if (!track) {
+            console.warn(`Track with ID '${trackId}' does not exist.`);
+            return;
+        }
+        if (!Number.isFinite(pan)) {
+            console.error("Pan must be a number between -1 and 1.");
+            return;
+        }
+        if (pan < -1 || pan > 1) {
+            console.warn("Pan must be between -1 and 1.");
+            pan = Math.max(-1, Math.min(1, pan));
+        }
+        track.insertSettings.pan = pan;
+        track.inserts.panner.pan.setValueAtTime(pan, this.audioContext.currentTime);
+        this.dispatchEvent(new CustomEvent('trackInsertsChanged', { detail: { trackId, inserts: this.getTrackInserts(trackId) } }));
+    }
+
+    /**
+     * Sets a track's 3-band EQ: a low shelf, a mid peak and a high shelf. Only the given settings change.
+     * @param {string} trackId - The ID of the track.
+     * @param {{low?: number, mid?: number, high?: number, lowFrequency?: number, midFrequency?: number, highFrequency?: number}} eq
+     *        Band gains in dB (-24 to 24) and band frequencies in Hz.
+     */
+    setTrackEQ(trackId, eq) {
+        const track = this._tracks.get(trackId);
+        if (!track) {
+            console.warn(`Track with ID '${trackId}' does not exist.`);
+            return;
+        }
+        const settings = { ...track.insertSettings.eq, ...eq };
+        if (!['low', 'mid', 'high'].every(band => Number.isFinite(settings[band]) && settings[band] >= -24 && settings[band] <= 24)) {
+            console.error("EQ band gains must be between -24 and 24 dB.");
+            return;
+        }
+        if (!['lowFrequency', 'midFrequency', 'highFrequency'].every(band => settings[band] >= 20 && settings[band] <= 20000)) {
+            console.error("EQ frequencies must be between 20 and 20000 Hz.");
+            return;
+        }
+        track.insertSettings.eq = settings;
+        const now = this.audioContext.currentTime;
+        const { eqLow, eqMid, eqHigh } = track.inserts;
+        eqLow.gain.setValueAtTime(settings.low, now);
+        eqLow.frequency.setValueAtTime(settings.lowFrequency, now);
+        eqMid.gain.setValueAtTime(settings.mid, now);
+        eqMid.frequency.setValueAtTime(settings.midFrequency, now);
+        eqHigh.gain.setValueAtTime(settings.high, now);
+        eqHigh.frequency.setValueAtTime(settings.highFrequency, now);
+        this.dispatchEvent(new CustomEvent('trackInsertsChanged', { detail: { trackId, inserts: this.getTrackInserts(trackId) } }));
+    }
+
+    /**
+     * Sets a track's compressor, which sits after the EQ and before the track volume. Only the given settings change;
+     * while disabled, the compressor is taken out of the signal path, so it adds no latency.
+     * @param {string} trackId - The ID of the track.
+     * @param {{enabled?: boolean, threshold?: number, ratio?: number, knee?: number, attack?: number, release?: number}} compressor
+     *        Threshold in dB (-100 to 0), ratio (1 to 20), knee in dB (0 to 40), attack (0 to 1s) and release (0 to 1s).
+     */
+    setTrackCompressor(trackId, compressor) {
+        const track = this._tracks.get(trackId);
+        if (!track) {
+            console.warn(`Track with ID '${trackId}' does not exist.`);
+            return;
+        }
+        const settings = { ...track.insertSettings.compressor, ...compressor };
+        const inRange = (value, min, max) => Number.isFinite(value) && value >= min && value <= max;
+        if (!inRange(settings.threshold, -100, 0) || !inRange(settings.ratio, 1, 20) || !inRange(settings.knee, 0, 40) ||
+            !inRange(settings.attack, 0, 1) || !inRange(settings.release, 0, 1)) {
+            console.error("Compressor settings out of range: threshold -100 to 0 dB, ratio 1 to 20, knee 0 to 40 dB, attack and release 0 to 1s.");
+            return;
+        }
+        settings.enabled = Boolean(settings.enabled);
+        const wasEnabled = track.insertSettings.compressor.enabled;
+        track.insertSettings.compressor = settings;
+        const now = this.audioContext.currentTime;
+        const node = track.inserts.compressor;
+        if (settings.enabled !== wasEnabled) {
+            // Route the EQ through the compressor, or straight to the track volume around it
+            const { eqHigh } = track.inserts;
+            eqHigh.disconnect(settings.enabled ? track.gainNode : node);
+            eqHigh.connect(settings.enabled ? node : track.gainNode);
+        }
+        node.threshold.setValueAtTime(settings.threshold, now);
+        node.ratio.setValueAtTime(settings.ratio, now);
+        node.knee.setValueAtTime(settings.knee, now);
+        node.attack.setValueAtTime(settings.attack, now);
+        node.release.setValueAtTime(settings.release, now);
+        this.dispatchEvent(new CustomEvent('trackInsertsChanged', { detail: { trackId, inserts: this.getTrackInserts(trackId) } }));
+    }
+
+    /**
+     * Gets a track's insert settings.
+     * @param {string} trackId - The ID of the track.
+     * @returns {{pan: number, eq: Object, compressor: Object}|null} Copies of the pan, EQ and compressor settings, or null if the track does not exist.
+     */
+    getTrackInserts(trackId) {
+        const track = this._tracks.get(trackId);
+        if (!track) {
+            return null;
+        }
+        const { pan, eq, compressor } = track.insertSettings;
+        return { pan, eq: { ...eq }, compressor: { ...compressor } };
+    }
+
+    /**
+     * Sets how a track's overlapping sounds behave. In 'poly' mode (the default) a new hit mixes with whatever
+     * is still ringing. In 'mono' mode a new hit cuts off the track's earlier sounds. In 'choke' mode a new hit
+     * cuts off the earlier sounds of every track in the same choke group (including its own), e.g. to let a
+     * muffled stroke on one drum stop an open tone on another. Cut-off sounds fade out over the track's fade time.
+     * Can be called while playing; it applies to hits scheduled from then on.
+     * @param {string} trackId - The ID of the track.
+     * @param {'poly'|'mono'|'choke'} mode - The play mode.
+     * @param {{chokeGroup?: string, fadeTime?: number}} [options] - The choke group (required in 'choke' mode) and
+     *        how long this track's sounds take to fade out when cut off, in seconds (default: unchanged, initially 0.02).
+     */
+    setTrackPlayMode(trackId, mode, { chokeGroup, fadeTime } = {}) {
+        const track = this._tracks.get(trackId);
+        if (!track) {
+            console.warn(`Track with ID '${trackId}' does not exist.`);
+            return;
+        }
+        if (!['poly', 'mono', 'choke'].includes(mode)) {
+            console.error("Play mode must be 'poly', 'mono' or 'choke'.");
             return;
         }
-        const gainNode = this.audioContext.createGain();
-        gainNode.connect(this.masterGainNode);
-        // Initialize track with mute state and last volume
-        this._tracks.set(trackId, { gainNode: gainNode, cells: new Map(), _isMuted: false, _lastVolume: 1.0 });
-        this.dispatchEvent(new CustomEvent('trackAdded', { detail: { trackId } }));
+        if (mode === 'choke' && (typeof chokeGroup !== 'string' || chokeGroup.length === 0)) {
+            console.error("A choke group name is required in 'choke' mode.");
+            return;
+        }
+        if (fadeTime !== undefined && !(fadeTime >= 0 && fadeTime <= 1)) {
+            console.error("Choke fade time must be between 0 and 1 second.");
+            return;
+        }
+        track.playMode = mode;
+        track.chokeGroup = mode === 'choke' ? chokeGroup : null;
+        if (fadeTime !== undefined) {
+            track.chokeFadeTime = fadeTime;
+        }
+        this.dispatchEvent(new CustomEvent('trackPlayModeChanged', { detail: { trackId, ...this.getTrackPlayMode(trackId) } }));
+    }
+
+    /**
+     * Gets how a track's overlapping sounds behave.
+     * @param {string} trackId - The ID of the track.
+     * @returns {{mode: 'poly'|'mono'|'choke', chokeGroup: string|null, fadeTime: number}|null} The play mode, or null if the track does not exist.
+     */
+    getTrackPlayMode(trackId) {
+        const track = this._tracks.get(trackId);
+        return track ? { mode: track.playMode, chokeGroup: track.chokeGroup, fadeTime: track.chokeFadeTime } : null;
+    }
+
+    /**
+     * Sets how much of a track is sent to a shared effect bus. The send is taken after the track's volume and pan,
+     * so muting or turning down the track also turns down its reverb and echoes.
+     * @param {string} trackId - The ID of the track.
+     * @param {'reverb'|'delay'} bus - The effect bus.
+     * @param {number} level - The send level (0.0 to 1.0).
+     */
+    setTrackSend(trackId, bus, level) {
+        const track = this._tracks.get(trackId);
+        if (!track) {
+            console.warn(`Track with ID '${trackId}' does not exist.`);
+            return;
+        }
+        if (!track.sends[bus]) {
+            console.error("Send bus must be 'reverb' or 'delay'.");
+            return;
+        }
+        if (level < 0 || level > 1) {
+            console.warn("Send level must be between 0.0 and 1.0.");
+            level = Math.max(0, Math.min(1, level));
+        }
+        track.sendLevels[bus] = level;
+        track.sends[bus].gain.setValueAtTime(level, this.audioContext.currentTime);
+        this.dispatchEvent(new CustomEvent('trackSendChanged', { detail: { trackId, bus, level } }));
+    }
+
+    /**
+     * Gets a track's send levels.
+     * @param {string} trackId - The ID of the track.
+     * @returns {{reverb: number, delay: number}|null} The send levels, or null if the track does not exist.
+     */
+    getTrackSends(trackId) {
+        const track = this._tracks.get(trackId);
+        return track ? { ...track.sendLevels } : null;
+    }
+
+    /**
+     * Sets the level at which an effect bus is mixed back into the master.
+     * @param {'reverb'|'delay'} bus - The effect bus.
+     * @param {number} level - The return level (0.0 to 1.0).
+     */
+    setReturnLevel(bus, level) {
+        if (!this._sendBuses[bus]) {
+            console.error("Send bus must be 'reverb' or 'delay'.");
+            return;
+        }
+        if (level < 0 || level > 1) {
+            console.warn("Return level must be between 0.0 and 1.0.");
+            level = Math.max(0, Math.min(1, level));
+        }
+        this._returnLevels[bus] = level;
+        this._sendBuses[bus].return.gain.setValueAtTime(level, this.audioContext.currentTime);
+        this.dispatchEvent(new CustomEvent('returnLevelChanged', { detail: { bus, level } }));
+    }
+
+    /**
+     * Gets the return levels of the effect buses.
+     * @returns {{reverb: number, delay: number}}
+     */
+    getReturnLevels() {
+        return { ...this._returnLevels };
+    }
+
+    /**
+     * Sets the reverb's impulse response: either a loaded one (e.g. a recorded room, decoded at the AudioContext's
+     * sample rate) or a generated room of the given length and decay.
+     * @param {AudioBuffer|{duration?: number, decay?: number}} impulse - The impulse response, or the generated room's
+     *        tail length in seconds (0.1 to 10, default 1.5) and decay (higher dies away faster, default 3).
+     */
+    setReverbImpulse(impulse) {
+        let settings;
+        if (impulse instanceof AudioBuffer) {
+            settings = { ...this._reverbSettings, impulse };
+        } else {
+            settings = { duration: 1.5, decay: 3, ...impulse, impulse: null };
+            if (!(settings.duration >= 0.1 && settings.duration <= 10) || !(settings.decay > 0)) {
+                console.error("Reverb duration must be between 0.1 and 10 seconds, and decay positive.");
+                return;
+            }
+        }
+        try {
+            this._sendBuses.reverb.convolver.buffer = settings.impulse || this._generateImpulseResponse(settings.duration, settings.decay);
+        } catch (e) {
+            console.error("Could not use the impulse response (its sample rate must match the AudioContext's):", e);
+            return;
+        }
+        this._reverbSettings = settings;
+        this.dispatchEvent(new CustomEvent('reverbChanged', {
+            detail: { duration: settings.duration, decay: settings.decay, isLoaded: settings.impulse !== null }
+        }));
+    }
+
+    /**
+     * Sets the delay bus. Its time is a number of grid cells, so the echoes stay in time when the tempo changes.
+     * @param {{cells?: number, feedback?: number}} delay - The delay time in cells (positive, up to 4 seconds at the
+     *        current tempo) and the feedback (0 to 0.95) that sets how long the echoes go on.
+     */
+    setDelay(delay) {
+        const settings = { ...this._delaySettings, ...delay };
+        if (!(settings.cells > 0)) {
+            console.error("Delay time must be a positive number of cells.");
+            return;
+        }
+        if (!(settings.feedback >= 0 && settings.feedback <= 0.95)) {
+            console.error("Delay feedback must be between 0 and 0.95.");
+            return;
+        }
+        this._delaySettings = { cells: settings.cells, feedback: settings.feedback };
+        this._sendBuses.delay.feedback.gain.setValueAtTime(settings.feedback, this.audioContext.currentTime);
+        this._updateDelayTime(this._calculateCellDuration(), this.audioContext.currentTime);
+        this.dispatchEvent(new CustomEvent('delayChanged', { detail: { ...this._delaySettings, seconds: this._delayTime } }));
+    }
+
+    /**
+     * Gets the delay bus settings.
+     * @returns {{cells: number, feedback: number, seconds: number}} The delay time in cells and seconds (at the current tempo), and the feedback.
+     */
+    getDelay() {
+        return { ...this._delaySettings, seconds: this._delayTime };
+    }
+
+    /**
+     * Sets the metronome, which clicks on every beat of the time signature (or on groups of beats), with a
+     * higher, louder click on the downbeat of each measure. Callable during playback. The click is not rendered
+     * into WAV or stem exports.
+     * @param {{enabled?: boolean, volume?: number, beatsPerClick?: number}} metronome - Whether it clicks, its
+     *        volume (0.0 to 1.0, default 0.5), and how many beats (of the time signature's denominator) each click
+     *        lasts: 1 by default, e.g. 3 in 6/8 to click dotted quarters.
+     */
+    setMetronome(metronome) {
+        const settings = { ...this._metronome, ...metronome };
+        if (!(settings.volume >= 0 && settings.volume <= 1)) {
+            console.error("Metronome volume must be between 0.0 and 1.0.");
+            return;
+        }
+        if (!Number.isInteger(settings.beatsPerClick) || settings.beatsPerClick < 1) {
+            console.error("Metronome beats per click must be a positive integer.");
+            return;
+        }
+        this._metronome = { enabled: Boolean(settings.enabled), volume: settings.volume, beatsPerClick: settings.beatsPerClick };
+        this._metronomeGainNode.gain.setValueAtTime(settings.volume, this.audioContext.currentTime);
+        this.dispatchEvent(new CustomEvent('metronomeChanged', { detail: { ...this._metronome } }));
+    }
+
+    /**
+     * Gets the metronome settings.
+     * @returns {{enabled: boolean, volume: number, beatsPerClick: number}}
+     */
+    getMetronome() {
+        return { ...this._metronome };
+    }
+
+    /**
+     * Sets the count-in played by play() before the sequence starts: clicks on every beat (a higher click on each
+     * bar's first beat and a distinct cue tone on the final beat), at the metronome's volume, with a countInTick event
+     * for each. Used when playback starts from the beginning and when it resumes.
+     * @param {number} length - How many bars or beats to count in; 0 for no count-in.
+     * @param {'bars'|'beats'} [unit='bars'] - Whether the length counts bars of the time signature or beats.
+     */
+    setCountIn(length, unit = 'bars') {
+        if (!Number.isInteger(length) || length < 0) {
+            console.error("Count-in length must be a non-negative integer.");
+            return;
+        }
+        if (unit !== 'bars' && unit !== 'beats') {
+            console.error("Count-in unit must be 'bars' or 'beats'.");
+            return;
+        }
+        this._countIn = { length, unit };
+        this.dispatchEvent(new CustomEvent('countInChanged', { detail: { ...this._countIn } }));
+    }
+
+    /**
+     * Gets the count-in settings.
+     * @returns {{length: number, unit: 'bars'|'beats'}}
+     */
+    getCountIn() {
+        return { ...this._countIn };
+    }
+
+    /**
+     * Sets the master volume of the player.
+     * @param {number} volume - The master volume level (0.0 to 1.0).
+     */
+    setMasterVolume(volume) {
+        if (volume < 0 || volume > 1) {
+            console.warn("Master volume must be between 0.0 and 1.0.");
+            volume = Math.max(0, Math.min(1, volume));
+        }
+        this._masterVolume = volume;
+        this.masterGainNode.gain.setValueAtTime(volume, this.audioContext.currentTime);
+        this.dispatchEvent(new CustomEvent('masterVolumeChanged', { detail: { volume } }));
+    }
+
+    /**
+     * Measures the current levels of every track (after its volume and pan) and of the master output (after the limiter).
+     * Peaks are held for 1.5 seconds. The same levels are emitted as the 'levels' event every 100 ms during playback.
+     * @returns {{master: Object, tracks: Object<string, Object>}} For the master and each track ID:
+     *          {peak, rms, peakHold} as linear levels (1.0 is full scale) and {peakDb, rmsDb, peakHoldDb} in dBFS.
+     */
+    getLevels() {
+        const tracks = {};
+        this._tracks.forEach((track, trackId) => {
+            tracks[trackId] = this._measureLevel(track.meter, trackId);
+        });
+        return { master: this._measureLevel(this._outputMeter, 'master'), tracks };
+    }
+
+    /**
+     * Sets the master limiter, which keeps the mix from clipping when loud hits and ringing tails pile up.
+     * Off by default. Callable during playback.
+     * @param {{enabled?: boolean, threshold?: number, release?: number}} limiter - Whether it is on, the level in dB
+     *        (-24 to 0) above which peaks are squashed, and how fast it lets go again in seconds (0.01 to 1).
+     */
+    setMasterLimiter(limiter) {
+        const settings = { ...this._limiterSettings, ...limiter };
+        if (!(settings.threshold >= -24 && settings.threshold <= 0)) {
+            console.error("Limiter threshold must be between -24 and 0 dB.");
+            return;
+        }
+        if (!(settings.release >= 0.01 && settings.release <= 1)) {
+            console.error("Limiter release must be between 0.01 and 1 second.");
+            return;
+        }
+        this._limiterSettings = { enabled: Boolean(settings.enabled), threshold: settings.threshold, release: settings.release };
+        this._applyLimiterSettings();
+        this.dispatchEvent(new CustomEvent('masterLimiterChanged', { detail: { ...this._limiterSettings } }));
+    }
+
+    /**
+     * Gets the master limiter settings.
+     * @returns {{enabled: boolean, threshold: number, release: number}}
+     */
+    getMasterLimiter() {
+        return { ...this._limiterSettings };
+    }
+
+    /**
+     * Gets how many times the mix has gone over 0 dBFS (before the limiter) since the last reset.
+     * @returns {number}
+     */
+    getClipCount() {
+        return this._clipCount;
+    }
+
+    /**
+     * Resets the clip counter.
+     */
+    resetClipCount() {
+        this._clipCount = 0;
+    }
+
+    /**
+     * Walks the sequence from the start, as the scheduler would, and lists every cell with its start time.
+     * The player's transport state is left untouched, so this is safe to call while playing.
+     * @param {number} passes - How many times to play through the whole sequence (pattern or arrangement).
+     * @returns {{cells: Array<{columnIndex: number, elapsedCells: number, time: number, duration: number, stateBefore: Object}>, duration: number}}
+     *          The cells with times relative to the start (and the transport state to restore to play from each),
+     *          and the total length in seconds.
+     * @private
+     */
+    _buildTimeline(passes) {
+        const saved = this._getTransportState();
+        const savedLoop = this._loop;
+        const savedResumeOffset = this._resumeOffset;
+
+        this._rewindTransport();
+        this._loop = true; // Passes are counted by the loop-back, then the walk stops
+
+        const cells = [];
+        let stateBefore = this._getTransportState();
+        while (this._advanceCell() && this._passCount < passes) {
+            this._applyTempoMap(this._elapsedCells);
+            const duration = this._calculateCellDuration();
+            cells.push({ columnIndex: this._currentCellIndex, elapsedCells: this._elapsedCells, time: this._elapsedTime, duration, stateBefore });
+            this._elapsedTime += duration;
+            this._elapsedCells++;
+            stateBefore = this._getTransportState();
+        }
+        const duration = this._elapsedTime;
+
+        this._setTransportState(saved);
+        this._loop = savedLoop;
+        this._resumeOffset = savedResumeOffset;
+        return { cells, duration };
     }
 
     /**
-     * Removes a track from the player. Can only be called in Stop state.
-     * @param {string} trackId - The ID of the track to remove.
+     * Copies everything that shapes the sound (grid, timing feel, volumes, mutes) to another player,
+     * typically one bound to an OfflineAudioContext. Transport state is not copied.
+     * @param {MultiTrackPlayer} target - The player to configure.
+     * @private
      */
-    removeTrack(trackId) {
-        if (this._isPlaying || this._isPaused) {
-            console.warn("Cannot remove track while playing or paused. Please stop the player first.");
-            return;
+    _copySettingsTo(target) {
+        target._samples = new Map(this._samples);
+        target._sampleTrims = new Map(this._sampleTrims);
+        target._sampleReferences = new Map(this._sampleReferences);
+        target._timeSignatureNumerator = this._timeSignatureNumerator;
+        target._timeSignatureDenominator = this._timeSignatureDenominator;
+        target._subdivisionNoteValue = this._subdivisionNoteValue;
+        target._patternMeasures = this._patternMeasures;
+        target._swing = this._swing;
+        target._grooves = this.getGrooves();
+        target._activeGroove = this._activeGroove;
+        target.setMasterVolume(this._masterVolume);
+        target.setMasterLimiter(this._limiterSettings);
+        target.setReverbImpulse(this._reverbSettings.impulse || { duration: this._reverbSettings.duration, decay: this._reverbSettings.decay });
+        target.setDelay(this._delaySettings);
+        Object.entries(this._returnLevels).forEach(([bus, level]) => target.setReturnLevel(bus, level));
+
+        this._tracks.forEach((track, trackId) => {
+            target.addTrack(trackId);
+            const targetTrack = target._tracks.get(trackId);
+            targetTrack.cells = new Map(track.cells);
+            targetTrack.nudges = new Map(track.nudges);
+            targetTrack.velocities = new Map(track.velocities);
+            targetTrack.cycle = track.cycle ? { ...track.cycle } : null;
+            targetTrack.playMode = track.playMode;
+            targetTrack.chokeGroup = track.chokeGroup;
+            targetTrack.chokeFadeTime = track.chokeFadeTime;
+            target.setTrackPan(trackId, track.insertSettings.pan);
+            target.setTrackEQ(trackId, track.insertSettings.eq);
+            target.setTrackCompressor(trackId, track.insertSettings.compressor);
+            Object.entries(track.sendLevels).forEach(([bus, level]) => target.setTrackSend(trackId, bus, level));
+            target.setTrackVolume(trackId, track._lastVolume);
+            target.setTrackMuted(trackId, track._isMuted);
+            target._tracks.get(trackId)._isSoloed = track._isSoloed;
+        });
+        target._applyTrackGains();
+    }
+
+    /**
+     * Checks the options shared by the offline rendering APIs, logging the first problem found.
+     * @param {{loops: number, tailSeconds: number, bitDepth: number}} options
+     * @returns {boolean} True if the options are valid.
+     * @private
+     */
+    _validateRenderOptions({ loops, tailSeconds, bitDepth }) {
+        if (!Number.isInteger(loops) || loops <= 0) {
+            console.error("Loops must be a positive whole number.");
+            return false;
         }
-        if (!this._tracks.has(trackId)) {
-            console.warn(`Track with ID '${trackId}' does not exist.`);
-            return;
+        if (!(tailSeconds >= 0)) {
+            console.error("Tail must be zero or more seconds.");
+            return false;
         }
-        const track = this._tracks.get(trackId);
-        track.gainNode.disconnect(); // Disconnect from master
-        track.cells.clear(); // Clear all audio buffers
-        this._tracks.delete(trackId);
-        this.dispatchEvent(new CustomEvent('trackRemoved', { detail: { trackId } }));
+        if (bitDepth !== 16 && bitDepth !== 24) {
+            console.error("Bit depth must be 16 or 24.");
+            return false;
+        }
+        return true;
     }
 
     /**
-     * Places audio data (single AudioBuffer or object with open/slap AudioBuffers and optional slapMultiplier) at a specific grid cell.
-     * Can only be called in Stop state.
-     * @param {string} trackId - The ID of the track.
-     * @param {number} columnIndex - The column index (0-based).
-     * @param {AudioBuffer|{open: AudioBuffer, slap: AudioBuffer, slapMultiplier?: number}} audioData - The decoded audio buffer(s) and optional multiplier.
+     * Renders a timeline through a fresh player bound to an OfflineAudioContext.
+     * Every render of the same timeline and options has the same length, so stems line up.
+     * @param {{cells: Array<{columnIndex: number, time: number, duration: number}>, duration: number}} timeline - From _buildTimeline().
+     * @param {number} tailSeconds - Extra time after the last cell for overflowing sounds to ring out.
+     * @param {number} sampleRate - The sample rate to render at.
+     * @param {function(MultiTrackPlayer): void} [configure] - Adjusts the render player after the live settings were copied to it.
+     * @returns {Promise<AudioBuffer>} The rendered stereo audio.
+     * @private
      */
-    addAudioToGrid(trackId, columnIndex, audioData) {
-        if (this._isPlaying || this._isPaused) {
-            console.warn("Cannot add audio to grid while playing or paused. Please stop the player first.");
-            return;
-        }
-        const track = this._tracks.get(trackId);
-        if (!track) {
-            console.error(`Track with ID '${trackId}' does not exist.`);
-            return;
+    async _renderOffline(timeline, tailSeconds, sampleRate, configure = () => {}) {
+        const length = Math.ceil((timeline.duration + tailSeconds) * sampleRate);
+        const offlineContext = new OfflineAudioContext(2, length, sampleRate);
+        const renderer = new MultiTrackPlayer(offlineContext);
+        renderer._stopScheduler(); // Everything is scheduled up front below
+        this._copySettingsTo(renderer);
+        configure(renderer);
+
+        timeline.cells.forEach(cell => {
+            renderer._updateDelayTime(cell.duration, cell.time);
+            for (const trackId of renderer._tracks.keys()) {
+                renderer._getTrackHits(trackId, cell.columnIndex, cell.elapsedCells).forEach(hit => {
+                    renderer._scheduleCell(trackId, hit.columnIndex, cell.time + hit.start * cell.duration, hit.length * cell.duration);
+                });
+            }
+        });
+
+        return offlineContext.startRendering();
+    }
+
+    /**
+     * Renders the sequence offline, exactly as it would play live (grid, tempo map, timing feel,
+     * velocities, track volumes, mutes, master volume), and encodes it as a stereo PCM WAV file.
+     * Sounds overflowing the last cell keep ringing into the tail.
+     * @param {Object} [options]
+     * @param {number} [options.loops=1] - How many times to play through the whole sequence.
+     * @param {number} [options.tailSeconds=2] - Extra time after the last cell for overflowing sounds to ring out.
+     * @param {number} [options.sampleRate] - The sample rate of the file; defaults to the AudioContext's.
+     * @param {number} [options.bitDepth=16] - 16 or 24 bits per sample.
+     * @returns {Promise<Blob|null>} The WAV file (use blob.arrayBuffer() for the raw bytes), or null if the options are invalid.
+     */
+    async renderToWav({ loops = 1, tailSeconds = 2, sampleRate = this.audioContext.sampleRate, bitDepth = 16 } = {}) {
+        if (!this._validateRenderOptions({ loops, tailSeconds, bitDepth })) {
+            return null;
         }
-        if (columnIndex < 0) {
-            console.error("Column index must be non-negative.");
-            return;
+        const timeline = this._buildTimeline(loops);
+        if (timeline.cells.length === 0) {
+            console.error("Nothing to render: the sequence is empty.");
+            return null;
         }
-        track.cells.set(columnIndex, audioData); // Store the audioData directly
-        this.dispatchEvent(new CustomEvent('audioAddedToGrid', { detail: { trackId, columnIndex, audioData } }));
+
+        const renderedBuffer = await this._renderOffline(timeline, tailSeconds, sampleRate);
+        return new Blob([MultiTrackPlayer._encodeWav(renderedBuffer, bitDepth)], { type: 'audio/wav' });
     }
 
     /**
-     * Removes audio from a specific grid cell. Can only be called in Stop state.
-     * @param {string} trackId - The ID of the track.
-     * @param {number} columnIndex - The column index (0-based).
+     * Renders every track on its own (a "stem") as a stereo PCM WAV file. All stems have the same length
+     * and start at the same moment, so they line up when loaded side by side into a DAW.
+     * Each stem respects its track's volume (unless pre-fader) but not the master volume or limiter. Muted and
+     * unsoloed tracks are rendered too, since stems are meant to be muted later by whoever uses them.
+     * @param {Object} [options]
+     * @param {number} [options.loops=1] - How many times to play through the whole sequence.
+     * @param {number} [options.tailSeconds=2] - Extra time after the last cell for overflowing sounds to ring out.
+     * @param {number} [options.sampleRate] - The sample rate of the files; defaults to the AudioContext's.
+     * @param {number} [options.bitDepth=16] - 16 or 24 bits per sample.
+     * @param {boolean} [options.preFader=false] - True to ignore track volumes (every stem at unity gain).
+     * @param {'files'|'zip'} [options.bundle='files'] - Return the stems as separate files or as one uncompressed ZIP archive.
+     * @returns {Promise<Map<string, Blob>|Blob|null>} The WAV files by track ID, or the ZIP archive ('<trackId>.wav' entries),
+     *          or null if the options are invalid.
      */
-    removeAudioFromGrid(trackId, columnIndex) {
-        if (this._isPlaying || this._isPaused) {
-            console.warn("Cannot remove audio from grid while playing or paused. Please stop the player first.");
-            return;
+    async renderStems({ loops = 1, tailSeconds = 2, sampleRate = this.audioContext.sampleRate, bitDepth = 16, preFader = false, bundle = 'files' } = {}) {
+        if (!this._validateRenderOptions({ loops, tailSeconds, bitDepth })) {
+            return null;
         }
-        const track = this._tracks.get(trackId);
-        if (!track) {
-            console.warn(`Track with ID '${trackId}' does not exist.`);
-            return;
+        if (bundle !== 'files' && bundle !== 'zip') {
+            console.error("Stem bundle must be 'files' or 'zip'.");
+            return null;
         }
-        if (track.cells.delete(columnIndex)) {
-            this.dispatchEvent(new CustomEvent('audioRemovedFromGrid', { detail: { trackId, columnIndex } }));
+        const timeline = this._buildTimeline(loops);
+        if (timeline.cells.length === 0 || this._tracks.size === 0) {
+            console.error("Nothing to render: the sequence is empty.");
+            return null;
+        }
+
+        const stems = new Map();
+        for (const stemTrackId of this._tracks.keys()) {
+            const renderedBuffer = await this._renderOffline(timeline, tailSeconds, sampleRate, renderer => {
+                renderer.setMasterVolume(1.0);
+                renderer.setMasterLimiter({ enabled: false });
+                renderer.setTrackSolo(stemTrackId, true, { exclusive: true }); // Solo overrides mute, so muted tracks get stems too
+                if (preFader) {
+                    renderer.setTrackVolume(stemTrackId, 1.0);
+                }
+            });
+            stems.set(stemTrackId, MultiTrackPlayer._encodeWav(renderedBuffer, bitDepth));
+        }
+
+        if (bundle === 'zip') {
+            const files = Array.from(stems, ([trackId, data]) => ({ name: `${trackId}.wav`, data }));
+            return new Blob([MultiTrackPlayer._createZip(files)], { type: 'application/zip' });
         }
+        const blobs = new Map();
+        stems.forEach((data, trackId) => blobs.set(trackId, new Blob([data], { type: 'audio/wav' })));
+        return blobs;
     }
 
     /**
-     * Sets the volume for a specific track.
-     * @param {string} trackId - The ID of the track.
-     * @param {number} volume - The volume level (0.0 to 1.0).
+     * Encodes an AudioBuffer as a PCM WAV file (RIFF, little-endian, interleaved channels).
+     * Samples are clipped to [-1, 1].
+     * @param {AudioBuffer} audioBuffer - The audio to encode.
+     * @param {number} bitDepth - 16 or 24 bits per sample.
+     * @returns {ArrayBuffer} The WAV file contents.
+     * @private
      */
-    setTrackVolume(trackId, volume) {
-        const track = this._tracks.get(trackId);
-        if (!track) {
-            console.warn(`Track with ID '${trackId}' does not exist.`);
-            return;
+    static _encodeWav(audioBuffer, bitDepth) {
+        const numberOfChannels = audioBuffer.numberOfChannels;
+        const bytesPerSample = bitDepth / 8;
+        const blockAlign = numberOfChannels * bytesPerSample;
+        const dataSize = audioBuffer.length * blockAlign;
+        const wav = new ArrayBuffer(44 + dataSize);
+        const view = new DataView(wav);
+
+        const writeString = (offset, text) => {
+            for (let i = 0; i < text.length; i++) {
+                view.setUint8(offset + i, text.charCodeAt(i));
+            }
+        };
+
+        writeString(0, 'RIFF');
+        view.setUint32(4, 36 + dataSize, true);
+        writeString(8, 'WAVE');
+        writeString(12, 'fmt ');
+        view.setUint32(16, 16, true); // fmt chunk size
+        view.setUint16(20, 1, true); // PCM
+        view.setUint16(22, numberOfChannels, true);
+        view.setUint32(24, audioBuffer.sampleRate, true);
+        view.setUint32(28, audioBuffer.sampleRate * blockAlign, true); // Byte rate
+        view.setUint16(32, blockAlign, true);
+        view.setUint16(34, bitDepth, true);
+        writeString(36, 'data');
+        view.setUint32(40, dataSize, true);
+
+        const channels = [];
+        for (let channel = 0; channel < numberOfChannels; channel++) {
+            channels.push(audioBuffer.getChannelData(channel));
         }
-        if (volume < 0 || volume > 1) {
-            console.warn("Volume must be between 0.0 and 1.0.");
-            volume = Math.max(0, Math.min(1, volume));
+        const maxValue = Math.pow(2, bitDepth - 1) - 1;
+        let offset = 44;
+        for (let i = 0; i < audioBuffer.length; i++) {
+            for (let channel = 0; channel < numberOfChannels; channel++) {
+                const sample = Math.max(-1, Math.min(1, channels[channel][i]));
+                const value = Math.round(sample * maxValue);
+                if (bitDepth === 16) {
+                    view.setInt16(offset, value, true);
+                } else {
+                    // 24-bit: three little-endian bytes of the two's complement value
+                    view.setUint8(offset, value & 0xFF);
+                    view.setUint8(offset + 1, (value >> 8) & 0xFF);
+                    view.setUint8(offset + 2, (value >> 16) & 0xFF);
+                }
+                offset += bytesPerSample;
+            }
+        }
+        return wav;
+    }
+
+    /**
+     * Bundles files into an uncompressed ("stored") ZIP archive.
+     * @param {Array<{name: string, data: ArrayBuffer}>} files - The files to add, in order.
+     * @returns {ArrayBuffer} The ZIP archive.
+     * @private
+     */
+    static _createZip(files) {
+        const encoder = new TextEncoder();
+        const entries = files.map(file => {
+            const bytes = new Uint8Array(file.data);
+            return { name: encoder.encode(file.name), bytes, crc: MultiTrackPlayer._crc32(bytes) };
+        });
+
+        const localSize = entries.reduce((size, entry) => size + 30 + entry.name.length + entry.bytes.length, 0);
+        const centralSize = entries.reduce((size, entry) => size + 46 + entry.name.length, 0);
+        const zip = new ArrayBuffer(localSize + centralSize + 22);
+        const view = new DataView(zip);
+        const bytes = new Uint8Array(zip);
+        const dosDate = (1 << 5) | 1; // 1980-01-01, the earliest DOS date; no timestamp is kept
+
+        let offset = 0;
+        const localOffsets = [];
+        entries.forEach(entry => {
+            localOffsets.push(offset);
+            view.setUint32(offset, 0x04034b50, true); // Local file header signature
+            view.setUint16(offset + 4, 20, true); // Version needed to extract (2.0)
+            view.setUint16(offset + 6, 0x0800, true); // Flags: UTF-8 file name
+            view.setUint16(offset + 8, 0, true); // Compression: stored
+            view.setUint16(offset + 10, 0, true); // Modification time
+            view.setUint16(offset + 12, dosDate, true); // Modification date
+            view.setUint32(offset + 14, entry.crc, true);
+            view.setUint32(offset + 18, entry.bytes.length, true); // Compressed size
+            view.setUint32(offset + 22, entry.bytes.length, true); // Uncompressed size
+            view.setUint16(offset + 26, entry.name.length, true);
+            view.setUint16(offset + 28, 0, true); // Extra field length
+            bytes.set(entry.name, offset + 30);
+            bytes.set(entry.bytes, offset + 30 + entry.name.length);
+            offset += 30 + entry.name.length + entry.bytes.length;
+        });
+
+        const centralOffset = offset;
+        entries.forEach((entry, index) => {
+            view.setUint32(offset, 0x02014b50, true); // Central directory header signature
+            view.setUint16(offset + 4, 20, true); // Version made by
+            view.setUint16(offset + 6, 20, true); // Version needed to extract
+            view.setUint16(offset + 8, 0x0800, true); // Flags: UTF-8 file name
+            view.setUint16(offset + 10, 0, true); // Compression: stored
+            view.setUint16(offset + 12, 0, true); // Modification time
+            view.setUint16(offset + 14, dosDate, true); // Modification date
+            view.setUint32(offset + 16, entry.crc, true);
+            view.setUint32(offset + 20, entry.bytes.length, true);
+            view.setUint32(offset + 24, entry.bytes.length, true);
+            view.setUint16(offset + 28, entry.name.length, true);
+            // Extra field, comment, disk number, internal and external attributes stay zero
+            view.setUint32(offset + 42, localOffsets[index], true);
+            bytes.set(entry.name, offset + 46);
+            offset += 46 + entry.name.length;
+        });
+
+        view.setUint32(offset, 0x06054b50, true); // End of central directory signature
+        view.setUint16(offset + 8, entries.length, true); // Entries on this disk
+        view.setUint16(offset + 10, entries.length, true); // Total entries
+        view.setUint32(offset + 12, offset - centralOffset, true); // Central directory size
+        view.setUint32(offset + 16, centralOffset, true);
+        return zip;
+    }
+
+    static _crcTable = null; // CRC-32 lookup table, built on first use
+
+    /**
+     * Computes the CRC-32 checksum (as used by ZIP) of some bytes.
+     * @param {Uint8Array} bytes - The data.
+     * @returns {number} The unsigned 32-bit checksum.
+     * @private
+     */
+    static _crc32(bytes) {
+        if (MultiTrackPlayer._crcTable === null) {
+            MultiTrackPlayer._crcTable = new Uint32Array(256);
+            for (let n = 0; n < 256; n++) {
+                let c = n;
+                for (let k = 0; k < 8; k++) {
+                    c = (c & 1) ? (0xEDB88320 ^ (c >>> 1)) : (c >>> 1);
+                }
+                MultiTrackPlayer._crcTable[n] = c >>> 0;
+            }
         }
-        // Only update gain if not muted, otherwise, store for when unmuted
-        if (!track._isMuted) {
-            track.gainNode.gain.setValueAtTime(volume, this.audioContext.currentTime);
+        let crc = 0xFFFFFFFF;
+        for (let i = 0; i < bytes.length; i++) {
+            crc = MultiTrackPlayer._crcTable[(crc ^ bytes[i]) & 0xFF] ^ (crc >>> 8);
         }
-        track._lastVolume = volume; // Always store the last desired volume
-        this.dispatchEvent(new CustomEvent('trackVolumeChanged', { detail: { trackId, volume } }));
+        return (crc ^ 0xFFFFFFFF) >>> 0;
     }
 
+    static _STATE_FORMAT = 'MultiTrackPlayer'; // 'format' of exported project documents
+    static _STATE_VERSION = 1; // Current version of the project document schema
+
     /**
-     * Mutes or unmutes a specific track.
-     * @param {string} trackId - The ID of the track.
-     * @param {boolean} isMuted - True to mute, false to unmute.
+     * Exports the project as a plain, JSON-serializable document (see specifications.md for the schema):
+     * tempo, time signature, subdivision, pattern length, looping, swing and grooves, tempo map, sections and
+     * arrangement, master volume and effects, and every track with its settings and cells. Cells refer to their
+     * audio by sample ID: cells placed by ID keep theirs, and buffers are looked up in the sample registry
+     * (or given an ID by the caller).
+     * @param {Object} [options]
+     * @param {function(AudioBuffer): (string|null|undefined)} [options.getSampleId] - Gives the sample ID of a buffer
+     *        placed directly in a cell; by default the buffer's ID in the sample registry.
+     * @returns {Object|null} The project document, or null if some cell's audio has no sample ID.
      */
-    setTrackMuted(trackId, isMuted) {
-        const track = this._tracks.get(trackId);
-        if (!track) {
-            console.warn(`Track with ID '${trackId}' does not exist.`);
-            return;
+    exportState({ getSampleId } = {}) {
+        const tracks = [];
+        for (const [trackId, track] of this._tracks) {
+            const cells = [];
+            for (const [columnIndex, audioData] of track.cells) {
+                const content = this._serializeCell(audioData, getSampleId);
+                if (!content) {
+                    console.error(`No sample ID for the audio in track '${trackId}', column ${columnIndex}.`);
+                    return null;
+                }
+                const cell = { column: columnIndex, ...content };
+                if (track.velocities.has(columnIndex)) {
+                    cell.velocity = track.velocities.get(columnIndex);
+                }
+                if (track.nudges.has(columnIndex)) {
+                    cell.nudge = track.nudges.get(columnIndex);
+                }
+                cells.push(cell);
+            }
+            tracks.push({
+                id: trackId,
+                volume: track._lastVolume,
+                muted: track._isMuted,
+                soloed: track._isSoloed,
+                cycle: this.getTrackCycle(trackId),
+                playMode: this.getTrackPlayMode(trackId),
+                inserts: this.getTrackInserts(trackId),
+                sends: this.getTrackSends(trackId),
+                cells
+            });
         }
 
-        track._isMuted = isMuted;
-        if (isMuted) {
-            track.gainNode.gain.setValueAtTime(0, this.audioContext.currentTime); // Mute
-        } else {
-            track.gainNode.gain.setValueAtTime(track._lastVolume, this.audioContext.currentTime); // Restore last volume
+        return {
+            format: MultiTrackPlayer._STATE_FORMAT,
+            version: MultiTrackPlayer._STATE_VERSION,
+            bpm: this._bpm,
+            timeSignature: this.getTimeSignature(),
+            subdivisionNoteValue: this._subdivisionNoteValue,
+            patternLength: this._patternMeasures,
+            loop: this._loop,
+            swing: this._swing,
+            grooves: Object.fromEntries(this.getGrooves()),
+            groove: this._activeGroove,
+            tempoMap: this.getTempoMap(),
+            sections: Object.fromEntries(this.getSections()),
+            arrangement: this.getArrangement(),
+            masterVolume: this._masterVolume,
+            effects: {
+                returns: this.getReturnLevels(),
+                delay: { ...this._delaySettings },
+                reverb: { duration: this._reverbSettings.duration, decay: this._reverbSettings.decay }, // A loaded impulse is not saved
+                limiter: this.getMasterLimiter()
+            },
+            sampleTrims: Object.fromEntries(Array.from(this._sampleTrims, ([id, trim]) => [id, { ...trim }])),
+            tracks
+        };
+    }
+
+    /**
+     * Replaces the whole project with one exported by exportState() (as an object or a JSON string).
+     * The whole document is checked first (the shape and range of every setting it holds), and every sample ID
+     * resolved, so a malformed document or a missing sample leaves the player untouched. Without a getSample option, cells refer to the registered samples by ID.
+     * Optional parts missing from the document are reset to their defaults;
+     * saved grooves are added to the ones already defined. Saved sample trims are applied to the registered samples
+     * (the trims of other samples are kept). Can only be called in Stop state.
+     * Emits a 'stateImported' event once everything is in place.
+     * @param {Object|string} state - The project document.
+     * @param {Object} [options]
+     * @param {function(string): (AudioBuffer|null|undefined)} [options.getSample] - Gives the AudioBuffer of a sample ID,
+     *        to place the buffers themselves in the cells instead of registered sample IDs.
+     * @returns {boolean} True if the project was imported.
+     */
+    importState(state, { getSample } = {}) {
+        if (this._isPlaying || this._isPaused) {
+            console.warn("Cannot import a project while playing or paused. Please stop the player first.");
+            return false;
         }
-        this.dispatchEvent(new CustomEvent('trackMuteChanged', { detail: { trackId, isMuted } }));
+        if (typeof state === 'string') {
+            try {
+                state = JSON.parse(state);
+            } catch (e) {
+                console.error("Invalid project state: not valid JSON.", e);
+                return false;
+            }
+        }
+        const error = this._validateState(state);
+        if (error) {
+            console.error(`Invalid project state: ${error}`);
+            return false;
+        }
+
+        // Resolve every sample before changing anything
+        const samples = new Map();
+        for (const track of state.tracks) {
+            for (const cell of track.cells) {
+                const sampleIds = cell.layers ? cell.layers.map(layer => layer.sample) : [cell.sample];
+                // Synthesized voices are stored in the document itself
+                for (const sampleId of sampleIds.filter(sampleId => sampleId !== undefined)) {
+                    const buffer = getSample ? getSample(sampleId) : this._samples.get(sampleId);
+                    if (!(buffer instanceof AudioBuffer)) {
+                        console.error(`Cannot import the project: unknown sample '${sampleId}'.`);
+                        return false;
+                    }
+                    samples.set(sampleId, buffer);
+                }
+            }
+        }
+
+        // Clear the current project
+        this.setArrangement([]);
+        Array.from(this._sections.keys()).forEach(name => this.removeSection(name));
+        this.clearTempoMap();
+        Array.from(this._tracks.keys()).forEach(trackId => this.removeTrack(trackId));
+
+        const { numerator, denominator } = state.timeSignature;
+        this.setTimeSignature(numerator, denominator, state.subdivisionNoteValue);
+        this.setPatternLength(state.patternLength !== undefined ? state.patternLength : 1);
+        this.setBPM(state.bpm);
+        this.setLooping(state.loop);
+        this.setSwing(state.swing !== undefined ? state.swing : 0);
+        Object.entries(state.grooves || {}).forEach(([name, offsets]) => this.defineGroove(name, offsets));
+        this.applyGroove(state.groove !== undefined ? state.groove : null);
+        (state.tempoMap || []).forEach(({ measure, column, bpm, rampMeasures, curve }) => {
+            if (rampMeasures > 0) {
+                this.addTempoRamp(measure, column, bpm, rampMeasures, curve);
+            } else {
+                this.setTempoAt(measure, column, bpm);
+            }
+        });
+        Object.entries(state.sections || {}).forEach(([name, section]) => this.defineSection(name, section.startMeasure, section.measureCount));
+        this.setArrangement(state.arrangement || []);
+
+        this.setMasterVolume(state.masterVolume !== undefined ? state.masterVolume : 1.0);
+        const effects = state.effects || {};
+        Object.entries({ reverb: 1.0, delay: 1.0, ...effects.returns }).forEach(([bus, level]) => this.setReturnLevel(bus, level));
+        this.setDelay({ cells: 3, feedback: 0.35, ...effects.delay });
+        this.setReverbImpulse({ ...effects.reverb });
+        this.setMasterLimiter({ enabled: false, threshold: -1, release: 0.1, ...effects.limiter });
+
+        state.tracks.forEach(track => {
+            this.addTrack(track.id);
+            track.cells.forEach(cell => {
+                let audioData = cell.layers ? { layers: cell.layers.map(layer => ({ ...layer })) } : cell.voice ? { voice: cell.voice } : cell.sample;
+                if (getSample) {
+                    audioData = cell.layers
+                        ? { layers: cell.layers.map(({ sample, ...layer }) => (layer.voice ? layer : { buffer: samples.get(sample), ...layer })) }
+                        : cell.voice ? { voice: cell.voice } : samples.get(cell.sample);
+                }
+                this.addAudioToGrid(track.id, cell.column, audioData, cell.velocity !== undefined ? cell.velocity : 1.0);
+                if (cell.nudge) {
+                    this.setCellNudge(track.id, cell.column, cell.nudge);
+                }
+            });
+            if (track.cycle) {
+                this.setTrackCycle(track.id, track.cycle.columns, track.cycle.subdivisionNoteValue);
+            }
+            if (track.playMode) {
+                this.setTrackPlayMode(track.id, track.playMode.mode, { chokeGroup: track.playMode.chokeGroup, fadeTime: track.playMode.fadeTime });
+            }
+            if (track.inserts) {
+                this.setTrackPan(track.id, track.inserts.pan !== undefined ? track.inserts.pan : 0);
+                this.setTrackEQ(track.id, track.inserts.eq);
+                this.setTrackCompressor(track.id, track.inserts.compressor);
+            }
+            Object.entries(track.sends || {}).forEach(([bus, level]) => this.setTrackSend(track.id, bus, level));
+            this.setTrackVolume(track.id, track.volume);
+            this.setTrackMuted(track.id, track.muted);
+            if (track.soloed) {
+                this.setTrackSolo(track.id, true);
+            }
+        });
+        Object.entries(state.sampleTrims || {}).forEach(([id, trim]) => {
+            if (this._samples.has(id)) {
+                this.setSampleTrim(id, trim);
+            } else {
+                console.warn(`The trim of sample '${id}' was not applied: the sample is not registered.`);
+            }
+        });
+
+        this.dispatchEvent(new CustomEvent('stateImported', { detail: { version: state.version } }));
+        return true;
     }
 
+    /**
+     * Describes a cell's audio by sample ID (or by its settings, for a synthesized voice), for exportState().
+     * @param {string|AudioBuffer|Object} audioData - The cell's audio data.
+     * @param {function(AudioBuffer): (string|null|undefined)} [getSampleId] - Gives the sample ID of a buffer; by default its registry ID.
+     * @returns {{sample: string}|{voice: Object}|{layers: Array<{sample?: string, voice?: Object, gain: number, playbackRate: number, offset: number}>}|null}
+     *          A single sample or voice, or the layers of a composite hit; null if a buffer has no sample ID.
+     * @private
+     */
+    _serializeCell(audioData, getSampleId) {
+        const sampleIdOf = buffer => (getSampleId
+            ? getSampleId(buffer)
+            : Array.from(this._samples.keys()).find(id => this._samples.get(id) === buffer));
+        if (typeof audioData === 'string') {
+            return { sample: audioData };
+        }
+        if (audioData instanceof AudioBuffer) {
+            const sample = sampleIdOf(audioData);
+            return typeof sample === 'string' ? { sample } : null;
+        }
+        if (audioData.voice !== undefined) {
+            return { voice: this._normalizeVoice(audioData.voice) };
+        }
+        // Layers placed by sample ID keep it and voices keep their settings; the others are looked up by buffer
+        const sourceLayers = Array.isArray(audioData.layers) ? audioData.layers : [];
+        const layers = (this._getHitLayers(audioData) || []).map(({ buffer, gain, playbackRate, offset }, i) => {
+            const sourceLayer = sourceLayers[i] || {}; // The older {open, slap} shape has no layers of its own
+            if (sourceLayer.voice !== undefined) {
+                return { voice: this._normalizeVoice(sourceLayer.voice), gain, playbackRate, offset };
+            }
+            const sample = typeof sourceLayer.sample === 'string' ? sourceLayer.sample : sampleIdOf(buffer);
+            return { sample, gain, playbackRate, offset };
+        });
+        return layers.length > 0 && layers.every(layer => layer.voice || typeof layer.sample === 'string') ? { layers } : null;
+    }
 
     /**
-     * Sets the master volume of the player.
-     * @param {number} volume - The master volume level (0.0 to 1.0).
+     * Checks a project document before importState() applies it.
+     * @param {Object} state - The project document.
+     * @returns {string|null} A description of the first problem found, or null if the document is valid.
+     * @private
      */
-    setMasterVolume(volume) {
-        if (volume < 0 || volume > 1) {
-            console.warn("Master volume must be between 0.0 and 1.0.");
-            volume = Math.max(0, Math.min(1, volume));
+    _validateState(state) {
+        const isNumber = value => typeof value === 'number' && isFinite(value);
+        const isObject = value => typeof value === 'object' && value !== null && !Array.isArray(value);
+        const inRange = (value, min, max) => isNumber(value) && value >= min && value <= max;
+        const isPositiveInteger = value => Number.isInteger(value) && value > 0;
+        const isOptional = (value, check) => value === undefined || check(value);
+        // Settings given as {name: [min, max]}; those missing from an object keep their defaults
+        const hasSettingsInRange = (settings, ranges) => isObject(settings) &&
+            Object.entries(ranges).every(([key, [min, max]]) => isOptional(settings[key], value => inRange(value, min, max)));
+        const isBusLevels = levels => isObject(levels) &&
+            Object.entries(levels).every(([bus, level]) => ['reverb', 'delay'].includes(bus) && inRange(level, 0, 1));
+        if (!isObject(state) || state.format !== MultiTrackPlayer._STATE_FORMAT) {
+            return `not a ${MultiTrackPlayer._STATE_FORMAT} project document.`;
         }
-        this.masterGainNode.gain.setValueAtTime(volume, this.audioContext.currentTime);
-        this.dispatchEvent(new CustomEvent('masterVolumeChanged', { detail: { volume } }));
+        if (!Number.isInteger(state.version) || state.version < 1) {
+            return "missing or invalid version.";
+        }
+        if (state.version > MultiTrackPlayer._STATE_VERSION) {
+            return `version ${state.version} is newer than this player supports (${MultiTrackPlayer._STATE_VERSION}).`;
+        }
+        if (!isNumber(state.bpm) || state.bpm <= 0) {
+            return "bpm must be a positive number.";
+        }
+        if (!isObject(state.timeSignature) || !isPositiveInteger(state.timeSignature.numerator) || !isPositiveInteger(state.timeSignature.denominator)) {
+            return "timeSignature must be an object with a positive whole numerator and denominator.";
+        }
+        const gridError = this._validateGrid(state.timeSignature.numerator, state.timeSignature.denominator, state.subdivisionNoteValue);
+        if (gridError) {
+            return gridError;
+        }
+        if (state.patternLength !== undefined && (!Number.isInteger(state.patternLength) || state.patternLength <= 0)) {
+            return "patternLength must be a positive whole number of measures.";
+        }
+        if (typeof state.loop !== 'boolean') {
+            return "loop must be true or false.";
+        }
+        if (state.swing !== undefined && !(isNumber(state.swing) && state.swing >= 0 && state.swing <= 1)) {
+            return "swing must be between 0 and 1.";
+        }
+        if (state.grooves !== undefined && (!isObject(state.grooves) || !Object.values(state.grooves).every(offsets =>
+            Array.isArray(offsets) && offsets.length > 0 && offsets.every(offset => inRange(offset, -0.5, 0.5))))) {
+            return "grooves must map names to arrays of offsets between -0.5 and 0.5.";
+        }
+        if (state.groove !== undefined && state.groove !== null && !(state.grooves && state.grooves[state.groove]) && !this._grooves.has(state.groove)) {
+            return `unknown groove '${state.groove}'.`;
+        }
+        if (state.tempoMap !== undefined && (!Array.isArray(state.tempoMap) || !state.tempoMap.every(e => isObject(e) &&
+            Number.isInteger(e.measure) && e.measure >= 0 && Number.isInteger(e.column) && e.column >= 0 && isNumber(e.bpm) && e.bpm > 0 &&
+            isOptional(e.rampMeasures, measures => isNumber(measures) && measures >= 0) && isOptional(e.curve, curve => ['linear', 'exponential'].includes(curve))))) {
+            return "tempoMap entries must have a measure, column and positive bpm, and ramps a length of zero or more measures and a 'linear' or 'exponential' curve.";
+        }
+        if (state.sections !== undefined && (!isObject(state.sections) || !Object.values(state.sections).every(section =>
+            isObject(section) && Number.isInteger(section.startMeasure) && section.startMeasure >= 0 && isPositiveInteger(section.measureCount)))) {
+            return "sections must map names to { startMeasure, measureCount } with a start of 0 or more and a positive length.";
+        }
+        if (state.arrangement !== undefined && (!Array.isArray(state.arrangement) || !state.arrangement.every(entry =>
+            isObject(entry) && state.sections && state.sections[entry.section] && isOptional(entry.repeats, isPositiveInteger)))) {
+            return "arrangement entries must refer to saved sections, with a positive whole number of repeats.";
+        }
+        if (state.masterVolume !== undefined && !(isNumber(state.masterVolume) && state.masterVolume >= 0 && state.masterVolume <= 1)) {
+            return "masterVolume must be between 0 and 1.";
+        }
+        if (state.effects !== undefined) {
+            if (!isObject(state.effects)) {
+                return "effects must be an object.";
+            }
+            const { returns, delay, reverb, limiter } = state.effects;
+            if (!isOptional(returns, isBusLevels)) {
+                return "effects.returns must map 'reverb' and 'delay' to levels between 0 and 1.";
+            }
+            if (!isOptional(delay, settings => hasSettingsInRange(settings, { cells: [Number.MIN_VALUE, Infinity], feedback: [0, 0.95] }))) {
+                return "effects.delay needs a positive number of cells and a feedback between 0 and 0.95.";
+            }
+            if (!isOptional(reverb, settings => hasSettingsInRange(settings, { duration: [0.1, 10], decay: [Number.MIN_VALUE, Infinity] }))) {
+                return "effects.reverb needs a duration between 0.1 and 10 seconds and a positive decay.";
+            }
+            if (!isOptional(limiter, settings => hasSettingsInRange(settings, { threshold: [-24, 0], release: [0.01, 1] }) &&
+                isOptional(settings.enabled, enabled => typeof enabled === 'boolean'))) {
+                return "effects.limiter needs an enabled flag, a threshold between -24 and 0 dB and a release between 0.01 and 1 second.";
+            }
+        }
+        if (state.sampleTrims !== undefined) {
+            if (!isObject(state.sampleTrims) || !Object.values(state.sampleTrims).every(trim =>
+                isObject(trim) && ['start', 'end', 'fadeIn', 'fadeOut'].every(key => isNumber(trim[key])))) {
+                return "sampleTrims must map sample IDs to {start, end, fadeIn, fadeOut} in seconds.";
+            }
+            // Trims of samples that are not registered are skipped on import
+            for (const [id, trim] of Object.entries(state.sampleTrims)) {
+                const trimError = this._samples.has(id) ? this._validateTrim(trim, this._samples.get(id).duration) : null;
+                if (trimError) {
+                    return `the trim of sample '${id}' is out of range: ${trimError}`;
+                }
+            }
+        }
+        if (!Array.isArray(state.tracks)) {
+            return "tracks must be an array.";
+        }
+
+        const trackIds = new Set();
+        for (const track of state.tracks) {
+            if (!isObject(track) || typeof track.id !== 'string' || track.id.length === 0) {
+                return "every track needs a non-empty string id.";
+            }
+            if (trackIds.has(track.id)) {
+                return `duplicate track '${track.id}'.`;
+            }
+            trackIds.add(track.id);
+            if (!inRange(track.volume, 0, 1) || typeof track.muted !== 'boolean' || !isOptional(track.soloed, soloed => typeof soloed === 'boolean')) {
+                return `track '${track.id}' needs a volume between 0 and 1 and muted (and soloed) flags.`;
+            }
+            if (track.cycle !== undefined && track.cycle !== null &&
+                !(isObject(track.cycle) && isPositiveInteger(track.cycle.columns) && isOptional(track.cycle.subdivisionNoteValue, isPositiveInteger))) {
+                return `track '${track.id}': cycle must be null or { columns, subdivisionNoteValue } in positive whole numbers.`;
+            }
+            const { playMode, inserts, sends } = track;
+            if (playMode !== undefined && !(isObject(playMode) && ['poly', 'mono', 'choke'].includes(playMode.mode) &&
+                (playMode.mode !== 'choke' || (typeof playMode.chokeGroup === 'string' && playMode.chokeGroup.length > 0)) &&
+                isOptional(playMode.fadeTime, fadeTime => inRange(fadeTime, 0, 1)))) {
+                return `track '${track.id}': playMode must be { mode: 'poly', 'mono' or 'choke', chokeGroup (in 'choke' mode), fadeTime between 0 and 1 }.`;
+            }
+            if (inserts !== undefined) {
+                const eqRanges = { low: [-24, 24], mid: [-24, 24], high: [-24, 24], lowFrequency: [20, 20000], midFrequency: [20, 20000], highFrequency: [20, 20000] };
+                const compressorRanges = { threshold: [-100, 0], ratio: [1, 20], knee: [0, 40], attack: [0, 1], release: [0, 1] };
+                if (!isObject(inserts) || !isOptional(inserts.pan, pan => inRange(pan, -1, 1)) ||
+                    !isOptional(inserts.eq, eq => hasSettingsInRange(eq, eqRanges)) ||
+                    !isOptional(inserts.compressor, compressor => hasSettingsInRange(compressor, compressorRanges) &&
+                        isOptional(compressor.enabled, enabled => typeof enabled === 'boolean'))) {
+                    return `track '${track.id}': inserts need a pan between -1 and 1, EQ gains between -24 and 24 dB at 20 to 20000 Hz, ` +
+                        "and a compressor with threshold -100 to 0 dB, ratio 1 to 20, knee 0 to 40 dB, attack and release 0 to 1s.";
+                }
+            }
+            if (!isOptional(sends, isBusLevels)) {
+                return `track '${track.id}': sends must map 'reverb' and 'delay' to levels between 0 and 1.`;
+            }
+            if (!Array.isArray(track.cells)) {
+                return `track '${track.id}' cells must be an array.`;
+            }
+            const columns = new Set();
+            for (const cell of track.cells) {
+                if (!isObject(cell) || !Number.isInteger(cell.column) || cell.column < 0 || columns.has(cell.column)) {
+                    return `track '${track.id}' has a cell without a valid, unique column.`;
+                }
+                columns.add(cell.column);
+                // Each cell or layer has either a sample ID or the settings of a synthesized voice
+                const hasSource = item => (typeof item.sample === 'string') !== (item.voice !== undefined) &&
+                    (item.voice === undefined || this._normalizeVoice(item.voice) !== null);
+                const isSingle = cell.layers === undefined && hasSource(cell);
+                const isLayered = cell.sample === undefined && cell.voice === undefined && Array.isArray(cell.layers) && cell.layers.length > 0 &&
+                    cell.layers.every(layer => isObject(layer) && hasSource(layer) && isOptional(layer.gain, gain => isNumber(gain) && gain >= 0) &&
+                        isOptional(layer.playbackRate, rate => isNumber(rate) && rate > 0) && isOptional(layer.offset, isNumber));
+                if (!isSingle && !isLayered) {
+                    return `track '${track.id}', column ${cell.column}: a cell needs a sample ID or voice, or a list of layers with sample IDs or voices ` +
+                        "(gain >= 0, playbackRate > 0).";
+                }
+                if (!isOptional(cell.velocity, velocity => inRange(velocity, 0, 1))) {
+                    return `track '${track.id}', column ${cell.column}: velocity must be between 0 and 1.`;
+                }
+                if (!isOptional(cell.nudge, nudge => inRange(nudge, -0.5, 0.5))) {
+                    return `track '${track.id}', column ${cell.column}: nudge must be between -0.5 and 0.5.`;
+                }
+            }
+        }
+        return null;
     }
 
     /**
-     * Gets the current BPM.
+     * Gets the base BPM (the tempo playback starts at).
      * @returns {number}
      */
     getBPM() {
         return this._bpm;
     }
 
+    /**
+     * Gets the tempo the scheduler is currently using, which follows the tempo map during playback.
+     * @returns {number}
+     */
+    getCurrentBPM() {
+        return this._currentBpm;
+    }
+
+    /**
+     * Gets the tempo map events, sorted by position.
+     * @returns {Array<{measure: number, column: number, bpm: number, rampMeasures: number, curve: 'linear'|'exponential'}>} A copy of the tempo map.
+     */
+    getTempoMap() {
+        return this._tempoMap.map(e => ({ ...e }));
+    }
+
     /**
      * Gets the current time signature.
      * @returns {{numerator: number, denominator: number}}
@@ -523,6 +3796,58 @@ class MultiTrackPlayer extends EventTarget {
         return this._loop;
     }
 
+    /**
+     * Gets the global swing amount.
+     * @returns {number}
+     */
+    getSwing() {
+        return this._swing;
+    }
+
+    /**
+     * Gets the saved groove templates.
+     * @returns {Map<string, number[]>} A copy of the templates, by name.
+     */
+    getGrooves() {
+        const grooves = new Map();
+        this._grooves.forEach((offsets, name) => grooves.set(name, [...offsets]));
+        return grooves;
+    }
+
+    /**
+     * Gets the name of the applied groove template.
+     * @returns {string|null}
+     */
+    getAppliedGroove() {
+        return this._activeGroove;
+    }
+
+    /**
+     * Gets the pattern length in measures.
+     * @returns {number}
+     */
+    getPatternLength() {
+        return this._patternMeasures;
+    }
+
+    /**
+     * Gets the defined sections.
+     * @returns {Map<string, {startMeasure: number, measureCount: number}>} A copy of the section definitions.
+     */
+    getSections() {
+        const sections = new Map();
+        this._sections.forEach((section, name) => sections.set(name, { ...section }));
+        return sections;
+    }
+
+    /**
+     * Gets the current arrangement.
+     * @returns {Array<{section: string, repeats: number}>} A copy of the arrangement entries.
+     */
+    getArrangement() {
+        return this._arrangement.map(entry => ({ ...entry }));
+    }
+
     /**
      * Returns the current playback status.
      * @returns {{isPlaying: boolean, isPaused: boolean}}
@@ -533,7 +3858,7 @@ class MultiTrackPlayer extends EventTarget {
 
     /**
      * Returns the map of tracks and their contents.
-     * @returns {Map<string, { gainNode: GainNode, cells: Map<number, AudioBuffer|{open: AudioBuffer, slap: AudioBuffer, slapMultiplier?: number}>, _isMuted: boolean, _lastVolume: number }>}
+     * @returns {Map<string, { gainNode: GainNode, cells: Map<number, string|AudioBuffer|{layers: Array<Object>}|{open: AudioBuffer, slap: AudioBuffer, slapMultiplier?: number}>, nudges: Map<number, number>, velocities: Map<number, number>, cycle: {columns: number, subdivisionNoteValue: number}|null, playMode: string, chokeGroup: string|null, chokeFadeTime: number, inserts: Object, insertSettings: Object, sends: Object, sendLevels: Object, meter: AnalyserNode, _isMuted: boolean, _isSoloed: boolean, _lastVolume: number }>}
      */
     getTracks() {
         return this._tracks;
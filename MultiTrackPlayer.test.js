@@ -76,16 +76,81 @@ describe('MultiTrackPlayer', () => {
         });
     });
 
+    describe('Seek and Position', () => {
+        it('should report the start of the sequence when stopped', () => {
+            const position = player.getPosition();
+            assert.strictEqual(position.columnIndex, 0, 'Should start at the first column');
+            assert.strictEqual(position.offset, 0, 'Should start at the top of the cell');
+            assert.strictEqual(position.seconds, 0, 'Should be at zero seconds');
+        });
+
+        it('should cue a column while stopped', () => {
+            player.seek({ columnIndex: 4 });
+            const position = player.getPosition();
+            assert.strictEqual(position.columnIndex, 4, 'Should be cued at column 4');
+            assert.isFalse(player.getStatus().isPlaying, 'Seeking should not start playback');
+        });
+
+        it('should cue a time in seconds, including the offset into the cell', () => {
+            player.setBPM(120); // 16th-note cells of 0.125s
+            player.seek({ seconds: 0.8 });
+            const position = player.getPosition();
+            assert.strictEqual(position.columnIndex, 6, 'Should be in column 6');
+            assert.closeTo(position.offset, 0.05, 1e-9, 'Should be 0.05s into the cell');
+            assert.closeTo(position.seconds, 0.8, 1e-9, 'Should report the sought time');
+        });
+
+        it('should wrap times past the end when looping, and reject them otherwise', () => {
+            player.setBPM(120); // One 4/4 measure lasts 2s
+            player.seek({ seconds: 2.5 });
+            assert.strictEqual(player.getPosition().columnIndex, 4, 'Should wrap to column 4');
+            player.setLooping(false);
+            player.seek({ seconds: 0 });
+            player.seek({ seconds: 2.5 });
+            assert.strictEqual(player.getPosition().columnIndex, 0, 'Out of range seek should be ignored');
+        });
+
+        it('should reject columns outside the pattern', () => {
+            player.seek({ columnIndex: 99 });
+            assert.strictEqual(player.getPosition().columnIndex, 0, 'Invalid seek should be ignored');
+        });
+
+        it('should go back to the start on stop()', () => {
+            player.seek({ columnIndex: 8 });
+            player.stop();
+            assert.strictEqual(player.getPosition().columnIndex, 0, 'Stop should clear the cued position');
+        });
+
+        it('should resume from the paused position', () => {
+            player.seek({ columnIndex: 8 });
+            player.play();
+            player.pause();
+            const paused = player.getPosition();
+            assert.strictEqual(paused.columnIndex, 8, 'Should pause in the cell being heard');
+            player.play();
+            assert.strictEqual(player.getPosition().columnIndex, 8, 'Should resume in the same cell');
+        });
+
+        it('should emit "positionChanged" on seek', (done) => {
+            player.addEventListener('positionChanged', (event) => {
+                assert.strictEqual(event.detail.position.columnIndex, 2);
+                done();
+            });
+            player.seek({ columnIndex: 2 });
+        });
+    });
+
     describe('BPM, Time Signature, Subdivision', () => {
         it('should allow setting BPM in stop state', () => {
             player.setBPM(150);
             assert.equal(player.getBPM(), 150);
         });
 
-        it('should not allow setting BPM while playing', () => {
+        it('should allow setting BPM while playing', () => {
             player.play();
             player.setBPM(160);
-            assert.equal(player.getBPM(), 120, 'BPM should remain default'); // Default is 120
+            assert.equal(player.getBPM(), 160);
+            assert.equal(player.getCurrentBPM(), 160, 'Live tempo should follow immediately');
         });
 
         it('should allow setting Time Signature in stop state', () => {
@@ -113,6 +178,130 @@ describe('MultiTrackPlayer', () => {
             player.setSubdivision(2);
             assert.equal(player.getSubdivision(), 4, 'Subdivision should remain default');
         });
+
+        it('should accept triplet and sextuplet subdivisions', () => {
+            player.setSubdivisionNoteValue(12);
+            assert.equal(player.getSubdivisionNoteValue(), 12);
+            assert.equal(player._getColumnsPerMeasure(), 12, '4/4 in eighth triplets has 12 cells');
+            player.setSubdivisionNoteValue(24);
+            assert.equal(player._getMaxColumns(), 24, '4/4 in sixteenth triplets has 24 cells');
+        });
+
+        it('should set the subdivision as cells per beat', () => {
+            player.setSubdivisionPerBeat(3);
+            assert.equal(player.getSubdivisionNoteValue(), 12, '3 per quarter-note beat is 12 per whole note');
+        });
+
+        it('should reject subdivisions that do not fill the measure with whole cells', () => {
+            player.setTimeSignature(5, 8, 16);
+            player.setSubdivisionNoteValue(12); // 5/8 in eighth triplets would be 7.5 cells
+            assert.equal(player.getSubdivisionNoteValue(), 16, 'Subdivision should be unchanged');
+            player.setSubdivisionNoteValue(2.5);
+            assert.equal(player.getSubdivisionNoteValue(), 16, 'Fractional subdivisions should be rejected');
+        });
+
+        it('should change time signature and subdivision together', () => {
+            player.setSubdivisionNoteValue(12);
+            player.setTimeSignature(5, 8); // Rejected: 7.5 cells with the current triplet subdivision
+            assert.equal(player.getTimeSignature().numerator, 4, 'Time signature should be unchanged');
+            player.setTimeSignature(5, 8, 16);
+            assert.deepEqual(player.getTimeSignature(), { numerator: 5, denominator: 8 });
+            assert.equal(player.getSubdivisionNoteValue(), 16);
+        });
+    });
+
+    describe('Tempo Map', () => {
+        it('should keep tempo events sorted by position', () => {
+            player.addTempoRamp(4, 0, 160, 2, 'exponential');
+            player.setTempoAt(1, 8, 130);
+            const tempoMap = player.getTempoMap();
+            assert.deepEqual(tempoMap.map(e => e.measure), [1, 4]);
+            assert.equal(tempoMap[1].curve, 'exponential');
+        });
+
+        it('should reject an unknown ramp curve', () => {
+            player.addTempoRamp(0, 0, 160, 2, 'cubic');
+            assert.lengthOf(player.getTempoMap(), 0);
+        });
+
+        it('should apply a set-tempo event when the timeline reaches it', () => {
+            player.setTempoAt(1, 0, 150);
+            player._applyTempoMap(15);
+            assert.equal(player.getCurrentBPM(), 120);
+            player._applyTempoMap(16);
+            assert.equal(player.getCurrentBPM(), 150);
+        });
+
+        it('should ramp linearly to the target tempo over the given measures', () => {
+            player.addTempoRamp(0, 0, 160, 1);
+            player._applyTempoMap(0);
+            assert.equal(player.getCurrentBPM(), 120);
+            player._applyTempoMap(8);
+            assert.approximately(player.getCurrentBPM(), 140, 0.001, 'Halfway through the measure');
+            player._applyTempoMap(16);
+            assert.equal(player.getCurrentBPM(), 160);
+        });
+
+        it('should apply an event added at a position already passed at the next cell, once', () => {
+            player.setTempoAt(0, 0, 100);
+            player._applyTempoMap(0);
+            player._elapsedCells = 20; // Playback has scheduled the cells before 20
+            player.setTempoAt(1, 0, 150);
+            player._applyTempoMap(20);
+            assert.equal(player.getCurrentBPM(), 150);
+            player.setBPM(90);
+            player._applyTempoMap(21);
+            assert.equal(player.getCurrentBPM(), 90, 'An event takes effect once');
+            player.removeTempoEvent(1, 0);
+            player._applyTempoMap(22);
+            assert.equal(player.getCurrentBPM(), 90, 'Removing an event does not apply an earlier one again');
+        });
+    });
+
+    describe('Swing, Grooves and Nudges', () => {
+        it('should delay every second cell by a third of a cell at full swing', () => {
+            player.addTrack('groove');
+            player.setSwing(1);
+            assert.equal(player._getTimingOffset('groove', 0, 0.3), 0);
+            assert.approximately(player._getTimingOffset('groove', 1, 0.3), 0.1, 0.0001);
+        });
+
+        it('should repeat a short groove template across the measure', () => {
+            player.addTrack('groove');
+            player.defineGroove('push', [0, -0.1]);
+            player.applyGroove('push');
+            assert.equal(player.getAppliedGroove(), 'push');
+            assert.approximately(player._getTimingOffset('groove', 5, 1), -0.1, 0.0001);
+        });
+
+        it('should not apply an unknown groove', () => {
+            player.applyGroove('missing');
+            assert.isNull(player.getAppliedGroove());
+        });
+
+        it('should add a per-cell nudge and drop it with the hit', () => {
+            const buffer = audioContext.createBuffer(1, 4410, 44100);
+            player.addTrack('groove');
+            player.addAudioToGrid('groove', 2, buffer);
+            player.setCellNudge('groove', 2, 0.25);
+            assert.approximately(player._getTimingOffset('groove', 2, 0.2), 0.05, 0.0001);
+            player.removeAudioFromGrid('groove', 2);
+            assert.equal(player._getTimingOffset('groove', 2, 0.2), 0);
+        });
+
+        it('should reject swing and nudges that are not numbers, and nudges of empty cells', () => {
+            const buffer = audioContext.createBuffer(1, 4410, 44100);
+            player.addTrack('groove');
+            player.setSwing(0.5);
+            [NaN, undefined, '0.7'].forEach(amount => player.setSwing(amount));
+            assert.equal(player.getSwing(), 0.5);
+            player.addAudioToGrid('groove', 1, buffer);
+            player.setCellNudge('groove', 1, 0.1);
+            [NaN, undefined, '0.2'].forEach(nudge => player.setCellNudge('groove', 1, nudge));
+            player.setCellNudge('groove', 3, 0.2);
+            assert.approximately(player._getTimingOffset('groove', 1, 1), 0.5 / 3 + 0.1, 0.0001, 'Swing and the first nudge');
+            assert.approximately(player._getTimingOffset('groove', 3, 1), 0.5 / 3, 0.0001, 'Only swing on the empty cell');
+        });
     });
 
     describe('Track Management', () => {
@@ -133,11 +322,11 @@ describe('MultiTrackPlayer', () => {
             assert.isFalse(player.getTracks().has('hihat'));
         });
 
-        it('should not remove a track while playing', () => {
+        it('should remove a track while playing', () => {
             player.addTrack('bass');
             player.play();
             player.removeTrack('bass');
-            assert.isTrue(player.getTracks().has('bass'), 'Track should still exist');
+            assert.isFalse(player.getTracks().has('bass'));
         });
     });
 
@@ -156,11 +345,40 @@ describe('MultiTrackPlayer', () => {
             assert.isTrue(player.getTracks().get('drum').cells.has(0));
         });
 
-        it('should not add audio to grid while playing', () => {
+        it('should add audio to grid while playing', () => {
             player.addTrack('synth');
             player.play();
             player.addAudioToGrid('synth', 1, mockAudioBuffer);
-            assert.isFalse(player.getTracks().get('synth').cells.has(1));
+            assert.isTrue(player.getTracks().get('synth').cells.has(1));
+        });
+
+        it('should store the velocity of a placed hit', () => {
+            player.addTrack('drum');
+            player.addAudioToGrid('drum', 0, mockAudioBuffer, 0.4);
+            assert.equal(player.getTracks().get('drum').velocities.get(0), 0.4);
+        });
+
+        it('should change the velocity of a placed hit', () => {
+            player.addTrack('drum');
+            player.addAudioToGrid('drum', 0, mockAudioBuffer);
+            assert.equal(player.getTracks().get('drum').velocities.get(0), 1.0, 'Full velocity by default');
+            player.setCellVelocity('drum', 0, 0.3);
+            assert.equal(player.getTracks().get('drum').velocities.get(0), 0.3);
+        });
+
+        it('should clamp velocity to the 0.0 to 1.0 range', () => {
+            player.addTrack('drum');
+            player.addAudioToGrid('drum', 0, mockAudioBuffer, 1.5);
+            assert.equal(player.getTracks().get('drum').velocities.get(0), 1.0);
+        });
+
+        it('should reject a velocity that is not a number', () => {
+            player.addTrack('drum');
+            player.addAudioToGrid('drum', 0, mockAudioBuffer, NaN);
+            assert.isFalse(player.getTracks().get('drum').cells.has(0));
+            player.addAudioToGrid('drum', 0, mockAudioBuffer, 0.6);
+            [NaN, '1', null].forEach(velocity => player.setCellVelocity('drum', 0, velocity));
+            assert.equal(player.getTracks().get('drum').velocities.get(0), 0.6);
         });
 
         it('should remove audio from grid in stop state', () => {
@@ -170,12 +388,286 @@ describe('MultiTrackPlayer', () => {
             assert.isFalse(player.getTracks().get('perc').cells.has(2));
         });
 
-        it('should not remove audio from grid while playing', () => {
+        it('should remove audio from grid while playing', () => {
             player.addTrack('pad');
             player.addAudioToGrid('pad', 3, mockAudioBuffer);
             player.play();
             player.removeAudioFromGrid('pad', 3);
-            assert.isTrue(player.getTracks().get('pad').cells.has(3));
+            assert.isFalse(player.getTracks().get('pad').cells.has(3));
+        });
+
+        it('should schedule a cell added inside the look-ahead window', () => {
+            player.addTrack('live');
+            player.play();
+            player._scheduleAudio(); // Schedules the first cell
+            player.addAudioToGrid('live', player._currentCellIndex, mockAudioBuffer);
+            const scheduled = Array.from(player._scheduledSources.values()).filter(info => info.trackId === 'live');
+            assert.equal(scheduled.length, 1);
+        });
+
+        it('should cancel a pending hit removed inside the look-ahead window', () => {
+            player.addTrack('live');
+            player.play();
+            player._scheduleAudio();
+            player.addAudioToGrid('live', player._currentCellIndex, mockAudioBuffer);
+            player.removeAudioFromGrid('live', player._currentCellIndex);
+            assert.equal(player._scheduledSources.size, 0);
+        });
+    });
+
+    describe('Polymetric Tracks', () => {
+        beforeEach(() => {
+            player.addTrack('okonkolo');
+        });
+
+        it('should follow the pattern by default', () => {
+            assert.isNull(player.getTrackCycle('okonkolo'), 'Tracks should have no cycle of their own');
+        });
+
+        it('should set and clear a track cycle in stop state', () => {
+            player.setTrackCycle('okonkolo', 12, 12);
+            assert.deepEqual(player.getTrackCycle('okonkolo'), { columns: 12, subdivisionNoteValue: 12 });
+            player.setTrackCycle('okonkolo', null);
+            assert.isNull(player.getTrackCycle('okonkolo'), 'Cycle should be cleared');
+        });
+
+        it('should default the cycle subdivision to the pattern subdivision', () => {
+            player.setTrackCycle('okonkolo', 3);
+            assert.deepEqual(player.getTrackCycle('okonkolo'), { columns: 3, subdivisionNoteValue: 16 });
+        });
+
+        it('should reject invalid cycles', () => {
+            player.setTrackCycle('okonkolo', 0, 12);
+            player.setTrackCycle('okonkolo', 12, 0);
+            assert.isNull(player.getTrackCycle('okonkolo'), 'Invalid cycles should be ignored');
+        });
+
+        it('should not allow changing a track cycle while playing', () => {
+            player.play();
+            player.setTrackCycle('okonkolo', 12, 12);
+            assert.isNull(player.getTrackCycle('okonkolo'), 'Cycle should not change during playback');
+        });
+
+        it('should schedule triplets against sixteenths at their own times', () => {
+            player.setTrackCycle('okonkolo', 12, 12);
+            // Three triplet eighths span four sixteenths
+            const hits = [0, 1, 2, 3].map(cell => player._getTrackHits('okonkolo', cell, cell));
+            assert.deepEqual(hits.map(cellHits => cellHits.map(hit => hit.columnIndex)), [[0], [1], [2], []]);
+            assert.closeTo(hits[1][0].start, 1 / 3, 1e-9, 'Second triplet starts a third into the second sixteenth');
+            assert.closeTo(hits[0][0].length, 4 / 3, 1e-9, 'A triplet eighth lasts 4/3 of a sixteenth');
+        });
+
+        it('should wrap a track at its own cycle length', () => {
+            player.setTrackCycle('okonkolo', 3); // 3 sixteenths against 16
+            const columns = [0, 1, 2, 3, 4, 15, 16].map(cell => player._getTrackHits('okonkolo', cell % 16, cell)[0].columnIndex);
+            assert.deepEqual(columns, [0, 1, 2, 0, 1, 0, 1]);
+        });
+
+        it('should emit "trackCycleChanged" event', (done) => {
+            player.addEventListener('trackCycleChanged', (event) => {
+                assert.strictEqual(event.detail.trackId, 'okonkolo');
+                assert.deepEqual(event.detail.cycle, { columns: 12, subdivisionNoteValue: 12 });
+                done();
+            });
+            player.setTrackCycle('okonkolo', 12, 12);
+        });
+    });
+
+    describe('Multi-layer Hits', () => {
+        beforeEach(() => {
+            player.addTrack('iya');
+        });
+
+        it('should play every layer of a hit with its own gain, rate and offset', () => {
+            const open = audioContext.createBuffer(1, 4410, 44100);
+            const slap = audioContext.createBuffer(1, 4410, 44100);
+            player.addAudioToGrid('iya', 0, { layers: [{ buffer: open }, { buffer: slap, gain: 1.25, playbackRate: 1.5, offset: 0.01 }] });
+            assert.deepEqual(player._getHitLayers(player.getTracks().get('iya').cells.get(0)), [
+                { buffer: open, gain: 1.0, playbackRate: 1.0, offset: 0 },
+                { buffer: slap, gain: 1.25, playbackRate: 1.5, offset: 0.01 }
+            ]);
+        });
+
+        it('should keep accepting bare buffers and open/slap cells', () => {
+            const open = audioContext.createBuffer(1, 4410, 44100);
+            const slap = audioContext.createBuffer(1, 4410, 44100);
+            assert.lengthOf(player._getHitLayers(open), 1, 'A buffer is a single layer');
+            const layers = player._getHitLayers({ open, slap, slapMultiplier: 1.25 });
+            assert.deepEqual(layers.map(layer => layer.gain), [1.0, 1.25], 'Open/slap becomes two layers');
+        });
+
+        it('should reject hits with invalid layers', () => {
+            const buffer = audioContext.createBuffer(1, 4410, 44100);
+            player.addAudioToGrid('iya', 0, { layers: [] });
+            player.addAudioToGrid('iya', 1, { layers: [{ buffer, playbackRate: 0 }] });
+            player.addAudioToGrid('iya', 2, { layers: [{ buffer: null }] });
+            player.addAudioToGrid('iya', 3, 'not audio');
+            assert.strictEqual(player.getTracks().get('iya').cells.size, 0, 'No invalid hit should be placed');
+        });
+    });
+
+    describe('Play Modes and Choke Groups', () => {
+        let buffer;
+
+        beforeEach(() => {
+            buffer = audioContext.createBuffer(1, audioContext.sampleRate, audioContext.sampleRate); // 1s, rings over the next cells
+            player.addTrack('iya');
+            player.addTrack('itotele');
+        });
+
+        it('should default to poly mode', () => {
+            assert.deepEqual(player.getTrackPlayMode('iya'), { mode: 'poly', chokeGroup: null, fadeTime: 0.02 });
+        });
+
+        it('should set mono and choke modes', () => {
+            player.setTrackPlayMode('iya', 'mono', { fadeTime: 0.05 });
+            assert.deepEqual(player.getTrackPlayMode('iya'), { mode: 'mono', chokeGroup: null, fadeTime: 0.05 });
+            player.setTrackPlayMode('iya', 'choke', { chokeGroup: 'drums' });
+            assert.deepEqual(player.getTrackPlayMode('iya'), { mode: 'choke', chokeGroup: 'drums', fadeTime: 0.05 });
+        });
+
+        it('should reject invalid modes, missing choke groups and fade times', () => {
+            player.setTrackPlayMode('iya', 'legato');
+            player.setTrackPlayMode('iya', 'choke');
+            player.setTrackPlayMode('iya', 'mono', { fadeTime: -1 });
+            assert.strictEqual(player.getTrackPlayMode('iya').mode, 'poly', 'Invalid settings should be ignored');
+        });
+
+        it('should choke earlier sounds of the same group when a new hit is scheduled', () => {
+            player.setTrackPlayMode('iya', 'choke', { chokeGroup: 'drums', fadeTime: 0.05 });
+            player.setTrackPlayMode('itotele', 'choke', { chokeGroup: 'drums' });
+            player.addAudioToGrid('iya', 0, buffer);
+            player.addAudioToGrid('itotele', 1, buffer);
+            player._scheduleCell('iya', 0, audioContext.currentTime + 1, 0.125);
+            const [iyaInfo] = Array.from(player._scheduledSources.values());
+            player._scheduleCell('itotele', 1, audioContext.currentTime + 1.5, 0.125);
+            assert.closeTo(iyaInfo.chokedAt, audioContext.currentTime + 1.5, 1e-6, 'The iya tone should be cut by the itotele hit');
+        });
+
+        it('should not choke poly tracks', () => {
+            player.setTrackPlayMode('itotele', 'choke', { chokeGroup: 'drums' });
+            player.addAudioToGrid('iya', 0, buffer);
+            player.addAudioToGrid('itotele', 1, buffer);
+            player._scheduleCell('iya', 0, audioContext.currentTime + 1, 0.125);
+            player._scheduleCell('itotele', 1, audioContext.currentTime + 1.5, 0.125);
+            Array.from(player._scheduledSources.values()).forEach(info => {
+                assert.isUndefined(info.chokedAt, 'Nothing should be choked');
+            });
+        });
+
+        it('should emit "trackPlayModeChanged" event', (done) => {
+            player.addEventListener('trackPlayModeChanged', (event) => {
+                assert.strictEqual(event.detail.trackId, 'iya');
+                assert.strictEqual(event.detail.mode, 'mono');
+                done();
+            });
+            player.setTrackPlayMode('iya', 'mono');
+        });
+    });
+
+    describe('Track Insert Effects', () => {
+        beforeEach(() => {
+            player.addTrack('iya');
+        });
+
+        it('should start centred, flat and uncompressed', () => {
+            const inserts = player.getTrackInserts('iya');
+            assert.strictEqual(inserts.pan, 0);
+            assert.deepInclude(inserts.eq, { low: 0, mid: 0, high: 0 });
+            assert.isFalse(inserts.compressor.enabled);
+        });
+
+        it('should set pan, clamping it to -1..1', () => {
+            player.setTrackPan('iya', -0.5);
+            assert.strictEqual(player.getTrackInserts('iya').pan, -0.5);
+            player.setTrackPan('iya', 3);
+            assert.strictEqual(player.getTrackInserts('iya').pan, 1);
+        });
+
+        it('should update only the given EQ settings', () => {
+            player.setTrackEQ('iya', { low: 6, midFrequency: 800 });
+            player.setTrackEQ('iya', { high: -3 });
+            assert.deepInclude(player.getTrackInserts('iya').eq, { low: 6, mid: 0, high: -3, midFrequency: 800 });
+        });
+
+        it('should reject out of range EQ and compressor settings', () => {
+            player.setTrackEQ('iya', { low: 40 });
+            player.setTrackCompressor('iya', { enabled: true, ratio: 0.5 });
+            assert.strictEqual(player.getTrackInserts('iya').eq.low, 0, 'EQ should be unchanged');
+            assert.isFalse(player.getTrackInserts('iya').compressor.enabled, 'Compressor should be unchanged');
+        });
+
+        it('should set the compressor', () => {
+            player.setTrackCompressor('iya', { enabled: true, threshold: -30, ratio: 6 });
+            assert.deepInclude(player.getTrackInserts('iya').compressor, { enabled: true, threshold: -30, ratio: 6 });
+        });
+
+        it('should take a disabled compressor out of the signal path', () => {
+            const { inserts, gainNode } = player.getTracks().get('iya');
+            const targets = [];
+            inserts.eqHigh.connect = (node) => targets.push(node);
+            inserts.eqHigh.disconnect = () => {};
+            player.setTrackCompressor('iya', { enabled: true });
+            player.setTrackCompressor('iya', { threshold: -12 });
+            player.setTrackCompressor('iya', { enabled: false });
+            assert.deepEqual(targets, [inserts.compressor, gainNode]);
+        });
+
+        it('should emit "trackInsertsChanged" event', (done) => {
+            player.addEventListener('trackInsertsChanged', (event) => {
+                assert.strictEqual(event.detail.trackId, 'iya');
+                assert.strictEqual(event.detail.inserts.pan, 0.25);
+                done();
+            });
+            player.setTrackPan('iya', 0.25);
+        });
+    });
+
+    describe('Send Effects', () => {
+        beforeEach(() => {
+            player.addTrack('iya');
+        });
+
+        it('should start with sends off and returns at full level', () => {
+            assert.deepEqual(player.getTrackSends('iya'), { reverb: 0, delay: 0 });
+            assert.deepEqual(player.getReturnLevels(), { reverb: 1, delay: 1 });
+        });
+
+        it('should set a track send and emit "trackSendChanged" event', (done) => {
+            player.addEventListener('trackSendChanged', (event) => {
+                assert.deepEqual(event.detail, { trackId: 'iya', bus: 'reverb', level: 0.4 });
+                assert.strictEqual(player.getTrackSends('iya').reverb, 0.4);
+                done();
+            });
+            player.setTrackSend('iya', 'reverb', 0.4);
+        });
+
+        it('should reject an unknown bus', () => {
+            player.setTrackSend('iya', 'chorus', 0.5);
+            player.setReturnLevel('chorus', 0.5);
+            assert.deepEqual(player.getTrackSends('iya'), { reverb: 0, delay: 0 });
+            assert.deepEqual(player.getReturnLevels(), { reverb: 1, delay: 1 });
+        });
+
+        it('should derive the delay time from the cell duration', () => {
+            player.setBPM(120); // 16th-note cells of 0.125s
+            player.setDelay({ cells: 3 });
+            assert.approximately(player.getDelay().seconds, 0.375, 0.0001);
+            player.setBPM(60);
+            assert.approximately(player.getDelay().seconds, 0.75, 0.0001, 'Delay should follow the tempo');
+        });
+
+        it('should reject out of range delay settings', () => {
+            player.setDelay({ feedback: 1.2 });
+            player.setDelay({ cells: 0 });
+            assert.deepInclude(player.getDelay(), { cells: 3, feedback: 0.35 });
+        });
+
+        it('should generate a reverb impulse response of the given length', () => {
+            player.setReverbImpulse({ duration: 2 });
+            const impulse = player._sendBuses.reverb.convolver.buffer;
+            assert.strictEqual(impulse.length, Math.round(2 * player.audioContext.sampleRate));
+            assert.strictEqual(impulse.numberOfChannels, 2);
         });
     });
 
@@ -192,6 +684,672 @@ describe('MultiTrackPlayer', () => {
         });
     });
 
+    describe('Solo', () => {
+        const gainOf = (trackId) => player.getTracks().get(trackId).gainNode.gain.value;
+
+        beforeEach(() => {
+            ['okonkolo', 'itotele', 'iya'].forEach(trackId => player.addTrack(trackId));
+        });
+
+        it('should silence the unsoloed tracks', () => {
+            player.setTrackSolo('iya', true);
+            assert.deepEqual(player.getSoloedTracks(), ['iya']);
+            assert.strictEqual(gainOf('iya'), 1);
+            assert.strictEqual(gainOf('okonkolo'), 0);
+            assert.strictEqual(gainOf('itotele'), 0);
+        });
+
+        it('should let a solo override a mute', () => {
+            player.setTrackMuted('iya', true);
+            player.setTrackSolo('iya', true);
+            assert.strictEqual(gainOf('iya'), 1);
+        });
+
+        it('should restore the mute states when solos are cleared', () => {
+            player.setTrackMuted('okonkolo', true);
+            player.setTrackVolume('itotele', 0.5);
+            player.setTrackSolo('iya', true);
+            player.setTrackSolo('iya', false);
+            assert.strictEqual(gainOf('okonkolo'), 0, 'Muted track should stay muted');
+            assert.strictEqual(gainOf('itotele'), 0.5, 'Volume should be restored');
+            assert.strictEqual(gainOf('iya'), 1);
+        });
+
+        it('should unsolo the other tracks with an exclusive solo', () => {
+            player.setTrackSolo('okonkolo', true);
+            player.setTrackSolo('itotele', true);
+            player.setTrackSolo('iya', true, { exclusive: true });
+            assert.deepEqual(player.getSoloedTracks(), ['iya']);
+        });
+
+        it('should emit "trackSoloChanged" for every track whose solo changed', () => {
+            player.setTrackSolo('okonkolo', true);
+            const events = [];
+            player.addEventListener('trackSoloChanged', (event) => events.push(event.detail));
+            player.setTrackSolo('iya', true, { exclusive: true });
+            assert.deepEqual(events, [
+                { trackId: 'okonkolo', isSoloed: false, soloedTracks: ['iya'] },
+                { trackId: 'iya', isSoloed: true, soloedTracks: ['iya'] }
+            ]);
+        });
+
+        it('should not schedule the unsoloed tracks', () => {
+            const buffer = audioContext.createBuffer(1, 100, audioContext.sampleRate);
+            player.addAudioToGrid('okonkolo', 0, buffer);
+            player.addAudioToGrid('iya', 0, buffer);
+            player.setTrackSolo('iya', true);
+            player._scheduleCell('okonkolo', 0, audioContext.currentTime + 0.1, 0.125);
+            player._scheduleCell('iya', 0, audioContext.currentTime + 0.1, 0.125);
+            assert.deepEqual(Array.from(player._scheduledSources.values()).map(info => info.trackId), ['iya']);
+        });
+    });
+
+    describe('Metronome', () => {
+        // Clicks scheduled so far, as [time, frequency]
+        const clicks = () => Array.from(player._scheduledSources).filter(([, info]) => info.trackId === null)
+            .map(([oscillator, info]) => [info.time, oscillator.frequency.value]);
+
+        it('should be off by default', () => {
+            player._scheduleClicks(0, audioContext.currentTime + 1, 0.125);
+            assert.isFalse(player.getMetronome().enabled);
+            assert.lengthOf(clicks(), 0);
+        });
+
+        it('should click on each beat with an accent on the downbeat', () => {
+            player.setMetronome({ enabled: true });
+            const start = audioContext.currentTime + 1;
+            for (let column = 0; column < 16; column++) {
+                player._scheduleClicks(column, start + column * 0.125, 0.125);
+            }
+            const times = clicks().map(([time]) => time - start);
+            assert.lengthOf(times, 4);
+            [0, 0.5, 1, 1.5].forEach((expected, i) => assert.approximately(times[i], expected, 0.0001));
+            assert.isAbove(clicks()[0][1], clicks()[1][1], 'Downbeat should be higher');
+        });
+
+        it('should click on a different grouping than the grid', () => {
+            player.setTimeSignature(6, 8);
+            player.setMetronome({ enabled: true, beatsPerClick: 3 }); // Dotted quarters
+            const start = audioContext.currentTime + 1;
+            for (let column = 0; column < 12; column++) {
+                player._scheduleClicks(column, start + column * 0.125, 0.125);
+            }
+            const times = clicks().map(([time]) => time - start);
+            assert.lengthOf(times, 2);
+            [0, 0.75].forEach((expected, i) => assert.approximately(times[i], expected, 0.0001));
+        });
+
+        it('should click between cells when beats do not fall on a cell', () => {
+            player.setSubdivisionNoteValue(6); // Quarter-note triplets: 1.5 cells per beat in 4/4
+            player.setMetronome({ enabled: true });
+            const start = audioContext.currentTime + 1;
+            player._scheduleClicks(1, start, 0.3);
+            assert.lengthOf(clicks(), 1);
+            assert.approximately(clicks()[0][0] - start, 0.15, 0.0001, 'Second beat falls half way through the second cell');
+        });
+
+        it('should reject invalid settings', () => {
+            player.setMetronome({ enabled: true, beatsPerClick: 1.5 });
+            player.setMetronome({ volume: 2 });
+            assert.deepEqual(player.getMetronome(), { enabled: false, volume: 0.5, beatsPerClick: 1 });
+        });
+
+        it('should stop scheduled clicks when playback stops', () => {
+            player.setMetronome({ enabled: true });
+            player.play();
+            player._scheduleClicks(0, audioContext.currentTime + 1, 0.125);
+            player.stop();
+            assert.lengthOf(clicks(), 0);
+        });
+    });
+
+    describe('Count-in', () => {
+        it('should start the sequence right away without a count-in', () => {
+            const start = audioContext.currentTime;
+            player.play();
+            assert.approximately(player._nextCellTime, start + 0.125, 0.01, 'First cell should already be scheduled');
+        });
+
+        it('should delay the first cell by the count-in', () => {
+            player.setBPM(120);
+            player.setCountIn(1); // One bar of 4/4: four half-second beats
+            const start = audioContext.currentTime;
+            player.play();
+            assert.approximately(player._nextCellTime, start + 2, 0.01);
+        });
+
+        it('should emit "countInTick" events with the beat in the bar', () => {
+            const ticks = [];
+            player.addEventListener('countInTick', (event) => ticks.push(event.detail));
+            player.setCountIn(6, 'beats');
+            player.play();
+            assert.deepInclude(ticks[0], { tick: 1, ticks: 6, beat: 1, isFinal: false });
+            const queued = player._countInTicks;
+            assert.deepInclude(queued[queued.length - 1], { tick: 6, beat: 2, isFinal: true });
+        });
+
+        it('should drop the count-in when stopped', () => {
+            player.setCountIn(2);
+            player.play();
+            player.stop();
+            assert.lengthOf(player._countInTicks, 0);
+        });
+
+        it('should reject invalid count-in settings', () => {
+            player.setCountIn(-1);
+            player.setCountIn(2, 'measures');
+            assert.deepEqual(player.getCountIn(), { length: 0, unit: 'bars' });
+        });
+    });
+
+    describe('Level Metering', () => {
+        beforeEach(() => {
+            player.addTrack('iya');
+        });
+
+        it('should report peak and RMS levels in linear and dBFS', () => {
+            player.getTracks().get('iya').meter.getFloatTimeDomainData = (data) => data.fill(0.5);
+            const levels = player.getLevels().tracks.iya;
+            assert.approximately(levels.peak, 0.5, 0.0001);
+            assert.approximately(levels.rms, 0.5, 0.0001);
+            assert.approximately(levels.peakDb, -6.02, 0.01);
+        });
+
+        it('should report silence as -Infinity dBFS', () => {
+            player._outputMeter.getFloatTimeDomainData = (data) => data.fill(0);
+            assert.strictEqual(player.getLevels().master.peakDb, -Infinity);
+        });
+
+        it('should hold the highest recent peak', () => {
+            const meter = player.getTracks().get('iya').meter;
+            meter.getFloatTimeDomainData = (data) => data.fill(0.8);
+            player.getLevels();
+            meter.getFloatTimeDomainData = (data) => data.fill(0.2);
+            const levels = player.getLevels().tracks.iya;
+            assert.approximately(levels.peak, 0.2, 0.0001);
+            assert.approximately(levels.peakHold, 0.8, 0.0001);
+        });
+
+        it('should emit "levels" event while playing', () => {
+            let detail = null;
+            player.addEventListener('levels', (event) => { detail = event.detail; });
+            player._emitLevels();
+            assert.isNull(detail, 'No levels while stopped and silent');
+            player.play();
+            player._emitLevels();
+            assert.hasAllKeys(detail, ['master', 'tracks']);
+            assert.hasAllKeys(detail.tracks, ['iya']);
+        });
+    });
+
+    describe('Master Limiter', () => {
+        it('should be off by default', () => {
+            assert.isFalse(player.getMasterLimiter().enabled);
+            assert.isNull(player._masterLimiter.clipper.curve);
+        });
+
+        it('should enable the limiter and emit "masterLimiterChanged" event', (done) => {
+            player.addEventListener('masterLimiterChanged', (event) => {
+                assert.deepEqual(event.detail, { enabled: true, threshold: -3, release: 0.1 });
+                assert.isNotNull(player._masterLimiter.clipper.curve, 'Soft clipper should be engaged');
+                done();
+            });
+            player.setMasterLimiter({ enabled: true, threshold: -3 });
+        });
+
+        it('should connect around the limiter while it is disabled', () => {
+            const { compressor, clipper } = player._masterLimiter;
+            const changes = [];
+            player.masterGainNode.connect = (node) => changes.push(['connect', node]);
+            player.masterGainNode.disconnect = (node) => changes.push(['disconnect', node]);
+            player.setMasterLimiter({ enabled: true });
+            player.setMasterLimiter({ threshold: -6 });
+            player.setMasterLimiter({ enabled: false });
+            assert.deepEqual(changes, [['disconnect', clipper], ['connect', compressor], ['disconnect', compressor], ['connect', clipper]]);
+        });
+
+        it('should reject an out of range threshold', () => {
+            player.setMasterLimiter({ enabled: true, threshold: 6 });
+            assert.isFalse(player.getMasterLimiter().enabled);
+        });
+
+        it('should count clips and emit "masterClipped" event', () => {
+            const counts = [];
+            player.addEventListener('masterClipped', (event) => counts.push(event.detail.count));
+            player._masterLimiter.meter.getFloatTimeDomainData = (data) => data.fill(0.5);
+            player._checkClipping();
+            player._masterLimiter.meter.getFloatTimeDomainData = (data) => data.fill(-1.2);
+            player._checkClipping();
+            player._checkClipping();
+            assert.deepEqual(counts, [1, 2]);
+            player.resetClipCount();
+            assert.strictEqual(player.getClipCount(), 0);
+        });
+    });
+
+    describe('Pattern Length and Arrangement', () => {
+        it('should span multiple measures', () => {
+            player.setPatternLength(4);
+            assert.equal(player.getPatternLength(), 4);
+            assert.equal(player._getMaxColumns(), 64, '4 measures of 4/4 in sixteenths');
+        });
+
+        it('should not allow setting pattern length while playing', () => {
+            player.play();
+            player.setPatternLength(2);
+            assert.equal(player.getPatternLength(), 1, 'Pattern length should remain default');
+        });
+
+        it('should reject an arrangement that references an unknown section', () => {
+            player.setArrangement([{ section: 'missing', repeats: 2 }]);
+            assert.deepEqual(player.getArrangement(), []);
+        });
+
+        it('should walk sections in order with their repeat counts', () => {
+            player.setPatternLength(2);
+            player.defineSection('intro', 0, 1);
+            player.defineSection('A', 1, 1);
+            player.setArrangement([{ section: 'intro' }, { section: 'A', repeats: 2 }]);
+            player.setLooping(false);
+
+            const visited = [];
+            while (player._advanceCell()) {
+                visited.push(`${player._currentSection}:${player._currentCellIndex}`);
+            }
+            assert.equal(visited.length, 48, 'intro once plus A twice');
+            assert.equal(visited[0], 'intro:0');
+            assert.equal(visited[16], 'A:16');
+            assert.equal(visited[32], 'A:16', 'A should repeat from its first column');
+        });
+    });
+
+    describe('Offline Rendering', () => {
+        it('should list every cell of the requested passes', () => {
+            player.setBPM(60); // Sixteenths last 0.25s
+            const timeline = player._buildTimeline(2);
+            assert.lengthOf(timeline.cells, 32);
+            assert.approximately(timeline.duration, 8, 0.0001);
+            assert.equal(player._currentCellIndex, -1, 'Transport state should be untouched');
+        });
+
+        it('should encode 16-bit PCM WAV', () => {
+            const buffer = audioContext.createBuffer(2, 10, 8000);
+            const view = new DataView(MultiTrackPlayer._encodeWav(buffer, 16));
+            assert.equal(view.byteLength, 44 + 10 * 2 * 2);
+            assert.equal(view.getUint16(22, true), 2, 'Channels');
+            assert.equal(view.getUint32(24, true), 8000, 'Sample rate');
+            assert.equal(view.getUint16(34, true), 16, 'Bits per sample');
+        });
+
+        it('should render the sequence to a WAV blob', async () => {
+            player.addTrack('drum');
+            player.addAudioToGrid('drum', 0, audioContext.createBuffer(1, 4410, 44100));
+            const wav = await player.renderToWav({ loops: 1, tailSeconds: 0.5, sampleRate: 22050, bitDepth: 24 });
+            assert.equal(wav.type, 'audio/wav');
+            const expectedFrames = Math.ceil((player._buildTimeline(1).duration + 0.5) * 22050);
+            assert.equal(wav.size, 44 + expectedFrames * 2 * 3);
+        }).timeout(10000);
+
+        it('should render one aligned stem per track', async () => {
+            player.addTrack('iya');
+            player.addTrack('okonkolo');
+            player.addAudioToGrid('iya', 0, audioContext.createBuffer(1, 4410, 44100));
+            const stems = await player.renderStems({ tailSeconds: 0.5, sampleRate: 22050 });
+            assert.deepEqual(Array.from(stems.keys()), ['iya', 'okonkolo']);
+            assert.equal(stems.get('iya').size, stems.get('okonkolo').size, 'Stems should have identical length');
+        }).timeout(10000);
+
+        it('should bundle files into a stored ZIP archive', () => {
+            const data = new Uint8Array([1, 2, 3]).buffer;
+            const zip = new DataView(MultiTrackPlayer._createZip([{ name: 'a.wav', data }]));
+            assert.equal(zip.getUint32(0, true), 0x04034b50, 'Local file header');
+            assert.equal(zip.getUint32(14, true), 0x55BC801D, 'CRC-32 of [1, 2, 3]');
+            assert.equal(zip.getUint16(zip.byteLength - 12, true), 1, 'One entry in the directory');
+        });
+
+        it('should reject an unsupported bit depth', async () => {
+            assert.isNull(await player.renderToWav({ bitDepth: 8 }));
+        });
+    });
+
+    describe('Sample Registry', () => {
+        let openBuffer;
+
+        beforeEach(async () => {
+            openBuffer = audioContext.createBuffer(1, 100, audioContext.sampleRate);
+            await player.registerSample('iya-open', openBuffer);
+            player.addTrack('iya');
+        });
+
+        it('should play the current audio of a replaced sample', async () => {
+            player.addAudioToGrid('iya', 0, 'iya-open');
+            player.addAudioToGrid('iya', 2, { layers: [{ sample: 'iya-open', gain: 2 }] });
+            const newBuffer = audioContext.createBuffer(1, 200, audioContext.sampleRate);
+            await player.replaceSample('iya-open', newBuffer);
+            const track = player.getTracks().get('iya');
+            assert.strictEqual(player._getHitLayers(track.cells.get(0))[0].buffer, newBuffer);
+            assert.strictEqual(player._getHitLayers(track.cells.get(2))[0].buffer, newBuffer);
+        });
+
+        it('should decode an ArrayBuffer', async () => {
+            const wav = MultiTrackPlayer._encodeWav(openBuffer, 16);
+            const buffer = await player.registerSample('iya-slap', wav);
+            assert.instanceOf(buffer, AudioBuffer);
+            assert.strictEqual(player.getSample('iya-slap'), buffer);
+        });
+
+        it('should reject a taken or unregistered ID', async () => {
+            assert.isNull(await player.registerSample('iya-open', openBuffer));
+            assert.isNull(await player.replaceSample('iya-slap', openBuffer));
+            assert.isUndefined(player.addAudioToGrid('iya', 0, 'iya-slap'));
+            assert.isFalse(player.getTracks().get('iya').cells.has(0));
+        });
+
+        it('should keep a sample that is still used', () => {
+            player.addAudioToGrid('iya', 0, 'iya-open');
+            player.unregisterSample('iya-open');
+            assert.strictEqual(player.getSamples().get('iya-open').references, 1);
+            player.removeAudioFromGrid('iya', 0);
+            assert.deepEqual(player.releaseUnusedSamples(), ['iya-open']);
+            assert.isNull(player.getSample('iya-open'));
+        });
+
+        it('should count the cells referring to each sample', async () => {
+            await player.registerSample('iya-slap', openBuffer);
+            player.addTrack('itotele');
+            player.addAudioToGrid('iya', 0, 'iya-open');
+            player.addAudioToGrid('iya', 1, { layers: [{ sample: 'iya-open' }, { sample: 'iya-open', gain: 2 }, { sample: 'iya-slap' }] });
+            player.addAudioToGrid('itotele', 0, 'iya-open');
+            assert.strictEqual(player.getSamples().get('iya-open').references, 3);
+            player.addAudioToGrid('iya', 0, 'iya-slap');
+            assert.strictEqual(player.getSamples().get('iya-open').references, 2);
+            assert.strictEqual(player.getSamples().get('iya-slap').references, 2);
+            player.removeTrack('itotele');
+            player.removeAudioFromGrid('iya', 1);
+            assert.strictEqual(player.getSamples().get('iya-open').references, 0);
+            player.clearGrid();
+            assert.strictEqual(player.getSamples().get('iya-slap').references, 0);
+            assert.sameMembers(player.releaseUnusedSamples(), ['iya-open', 'iya-slap']);
+        });
+
+        it('should not let concurrent registrations of an ID overwrite each other', async () => {
+            const first = player.registerSample('iya-slap', MultiTrackPlayer._encodeWav(openBuffer, 16));
+            const second = player.registerSample('iya-slap', openBuffer);
+            const buffer = await first;
+            assert.isNull(await second);
+            assert.strictEqual(player.getSample('iya-slap'), buffer);
+        });
+
+        it('should not bring back a sample unregistered while its replacement loaded', async () => {
+            const replaced = player.replaceSample('iya-open', MultiTrackPlayer._encodeWav(openBuffer, 16));
+            player.unregisterSample('iya-open');
+            assert.isNull(await replaced);
+            assert.isNull(player.getSample('iya-open'));
+        });
+
+        it('should keep the latest of overlapping replacements', async () => {
+            const newBuffer = audioContext.createBuffer(1, 200, audioContext.sampleRate);
+            const older = player.replaceSample('iya-open', MultiTrackPlayer._encodeWav(openBuffer, 16));
+            await player.replaceSample('iya-open', newBuffer);
+            assert.isNull(await older);
+            assert.strictEqual(player.getSample('iya-open'), newBuffer);
+        });
+
+        it('should export and import cells by sample ID', () => {
+            player.addAudioToGrid('iya', 0, 'iya-open');
+            player.addAudioToGrid('iya', 1, openBuffer);
+            const state = player.exportState();
+            assert.deepEqual(state.tracks[0].cells.map(cell => cell.sample), ['iya-open', 'iya-open']);
+            assert.isTrue(player.importState(state));
+            assert.strictEqual(player.getTracks().get('iya').cells.get(1), 'iya-open');
+        });
+    });
+
+    describe('Synthesized Voices', () => {
+        it('should render a voice once for the same settings', () => {
+            const voice = player.synthesizeVoice({ pitch: 120, decay: 0.5 });
+            assert.instanceOf(voice, AudioBuffer);
+            assert.approximately(voice.duration, 0.5, 0.001);
+            assert.strictEqual(player.synthesizeVoice({ pitch: 120, decay: 0.5, bend: 0.5 }), voice, 'Defaults should be filled in');
+            assert.notStrictEqual(player.synthesizeVoice({ pitch: 240, decay: 0.5 }), voice);
+            const peak = voice.getChannelData(0).reduce((max, value) => Math.max(max, Math.abs(value)), 0);
+            assert.approximately(peak, 0.9, 0.0001);
+        });
+
+        it('should reject settings out of range', () => {
+            assert.isNull(player.synthesizeVoice({ pitch: 5 }));
+            assert.isNull(player.synthesizeVoice({ decay: 'long' }));
+            player.addTrack('iya');
+            player.addAudioToGrid('iya', 0, { voice: { noise: 2 } });
+            assert.isFalse(player.getTracks().get('iya').cells.has(0));
+        });
+
+        it('should schedule a voice like a sample', () => {
+            player.addTrack('iya');
+            player.addAudioToGrid('iya', 0, { voice: { pitch: 90 } });
+            player.addAudioToGrid('iya', 1, { layers: [{ voice: { pitch: 90 } }, { voice: { pitch: 300, noise: 0.8 }, gain: 2 }] });
+            player._scheduleCell('iya', 0, audioContext.currentTime + 1, 0.125);
+            player._scheduleCell('iya', 1, audioContext.currentTime + 1.125, 0.125);
+            const buffers = Array.from(player._scheduledSources.keys()).map(source => source.buffer);
+            assert.lengthOf(buffers, 3);
+            assert.strictEqual(buffers[0], player.synthesizeVoice({ pitch: 90 }));
+            assert.strictEqual(buffers[1], buffers[0]);
+        });
+
+        it('should register a voice as a sample and export voices by their settings', async () => {
+            await player.registerSample('iya-open', { voice: { pitch: 90 } });
+            player.addTrack('iya');
+            player.addAudioToGrid('iya', 0, 'iya-open');
+            player.addAudioToGrid('iya', 1, { voice: { pitch: 300 } });
+            const state = player.exportState();
+            assert.strictEqual(state.tracks[0].cells[0].sample, 'iya-open');
+            assert.strictEqual(state.tracks[0].cells[1].voice.pitch, 300);
+            const other = new MultiTrackPlayer(audioContext);
+            await other.registerSample('iya-open', { voice: { pitch: 90 } });
+            assert.isTrue(other.importState(JSON.parse(JSON.stringify(state))));
+            assert.deepEqual(other.exportState(), state);
+        });
+    });
+
+    describe('Sample Trim', () => {
+        let buffer;
+
+        beforeEach(async () => {
+            // Half a second with a hit 50 ms in
+            const rate = audioContext.sampleRate;
+            buffer = audioContext.createBuffer(1, rate / 2, rate);
+            buffer.getChannelData(0).fill(0.5, Math.round(rate * 0.05), Math.round(rate * 0.1));
+            await player.registerSample('iya-open', buffer);
+            player.addTrack('iya');
+        });
+
+        it('should detect the onset after leading silence', async () => {
+            assert.approximately(player.detectOnset('iya-open'), 0.048, 1e-4, 'Onset less the pre-roll');
+            assert.strictEqual(player.detectOnset(audioContext.createBuffer(1, 100, audioContext.sampleRate)), 0, 'Silence has no onset to trim');
+            assert.isNull(player.detectOnset('iya-open', { threshold: 6 }));
+            assert.isNull(player.detectOnset('iya-slap'));
+            await player.registerSample('iya-slap', buffer, { autoTrim: true });
+            assert.approximately(player.getSampleTrim('iya-slap').start, 0.048, 1e-4);
+            assert.deepEqual(player.getSampleTrim('iya-open'), { start: 0, end: 0.5, fadeIn: 0, fadeOut: 0 });
+        });
+
+        it('should merge and validate trims', () => {
+            player.setSampleTrim('iya-open', { start: 0.05, fadeOut: 0.1 });
+            player.setSampleTrim('iya-open', { end: 0.3 });
+            assert.deepEqual(player.getSampleTrim('iya-open'), { start: 0.05, end: 0.3, fadeIn: 0, fadeOut: 0.1 });
+            player.setSampleTrim('iya-open', { end: 0.6 });
+            player.setSampleTrim('iya-open', { fadeIn: 0.2 });
+            player.setSampleTrim('iya-slap', { start: 0 });
+            assert.deepEqual(player.getSampleTrim('iya-open'), { start: 0.05, end: 0.3, fadeIn: 0, fadeOut: 0.1 });
+            assert.isNull(player.getSampleTrim('iya-slap'));
+        });
+
+        it('should start hits at the trim and fade them', () => {
+            const starts = [];
+            const createBufferSource = audioContext.createBufferSource.bind(audioContext);
+            audioContext.createBufferSource = () => {
+                const source = createBufferSource();
+                source.start = (...args) => starts.push(args);
+                return source;
+            };
+            player.setSampleTrim('iya-open', { start: 0.05, end: 0.25, fadeOut: 0.05 });
+            player.addAudioToGrid('iya', 0, 'iya-open');
+            const time = audioContext.currentTime + 1;
+            player._scheduleCell('iya', 0, time, 0.125);
+            delete audioContext.createBufferSource;
+            assert.lengthOf(starts, 1);
+            assert.closeTo(starts[0][1], 0.05, 1e-9);
+            assert.closeTo(starts[0][2], 0.2, 1e-9);
+
+            const events = [];
+            const gain = {
+                setValueAtTime: (value, at) => events.push(['set', value, at]),
+                linearRampToValueAtTime: (value, at) => events.push(['ramp', value, at])
+            };
+            player._scheduleTrimFades(gain, { start: 0.05, end: 0.25, fadeIn: 0.01, fadeOut: 0.05 }, 0.8, 2, 0, 2);
+            assert.deepEqual(events.map(([type]) => type), ['set', 'ramp', 'set', 'ramp']);
+            assert.closeTo(events[1][2], 2.005, 1e-9, 'Fade-in ends 10 ms into the sample, at double speed');
+            assert.closeTo(events[2][2], 2.075, 1e-9);
+            assert.strictEqual(events[3][1], 0);
+            assert.closeTo(events[3][2], 2.1, 1e-9);
+        });
+
+        it('should choke a trimmed hit from the level its fade-out has reached', () => {
+            player.setTrackPlayMode('iya', 'mono', { fadeTime: 0.01 });
+            player.setSampleTrim('iya-open', { start: 0.05, end: 0.25, fadeOut: 0.05 });
+            player.addAudioToGrid('iya', 0, 'iya-open');
+            player.addAudioToGrid('iya', 1, 'iya-open');
+            const time = audioContext.currentTime + 1;
+            player._scheduleCell('iya', 0, time, 0.125);
+            const [info] = Array.from(player._scheduledSources.values());
+            const events = [];
+            info.gainNode.gain.setValueAtTime = (value, at) => events.push(['set', value, at]);
+            info.gainNode.gain.linearRampToValueAtTime = (value, at) => events.push(['ramp', value, at]);
+            info.gainNode.gain.cancelScheduledValues = (at) => events.push(['cancel', at]);
+            player._scheduleCell('iya', 1, time + 0.175, 0.125); // Half way through the fade-out
+            assert.deepEqual(events.map(([type]) => type), ['cancel', 'ramp', 'ramp'], 'No jump back to full level');
+            assert.closeTo(events[1][1], 0.5, 1e-9);
+            assert.closeTo(events[1][2], time + 0.175, 1e-9);
+            assert.strictEqual(events[2][1], 0);
+        });
+
+        it('should reset the trim of a replaced sample and save trims with the project', async () => {
+            player.setSampleTrim('iya-open', { start: 0.1 });
+            const state = player.exportState();
+            assert.deepEqual(state.sampleTrims, { 'iya-open': { start: 0.1, end: 0.5, fadeIn: 0, fadeOut: 0 } });
+            await player.replaceSample('iya-open', buffer);
+            assert.strictEqual(player.getSampleTrim('iya-open').start, 0);
+            assert.isTrue(player.importState(state));
+            assert.strictEqual(player.getSampleTrim('iya-open').start, 0.1);
+        });
+    });
+
+    describe('Project State', () => {
+        let samples;
+        const getSampleId = (buffer) => Array.from(samples.keys()).find(id => samples.get(id) === buffer);
+        const getSample = (id) => samples.get(id);
+
+        beforeEach(() => {
+            samples = new Map([
+                ['iya-open', audioContext.createBuffer(1, 100, audioContext.sampleRate)],
+                ['iya-slap', audioContext.createBuffer(1, 100, audioContext.sampleRate)]
+            ]);
+            player.setTimeSignature(6, 8);
+            player.setPatternLength(2);
+            player.setBPM(96);
+            player.addTrack('iya');
+            player.addAudioToGrid('iya', 0, samples.get('iya-open'), 0.8);
+            player.addAudioToGrid('iya', 3, { layers: [{ buffer: samples.get('iya-open') }, { buffer: samples.get('iya-slap'), gain: 3 }] });
+            player.setCellNudge('iya', 3, -0.1);
+            player.setTrackVolume('iya', 0.7);
+            player.setTrackMuted('iya', true);
+            player.setTrackPan('iya', -0.5);
+        });
+
+        it('should round-trip a project through JSON', () => {
+            const state = player.exportState({ getSampleId });
+            const other = new MultiTrackPlayer(audioContext);
+            assert.isTrue(other.importState(JSON.stringify(state), { getSample }));
+            assert.deepEqual(other.exportState({ getSampleId }), state);
+        });
+
+        it('should refer to cell audio by sample ID', () => {
+            const cells = player.exportState({ getSampleId }).tracks[0].cells;
+            assert.deepEqual(cells[0], { column: 0, sample: 'iya-open', velocity: 0.8 });
+            assert.deepEqual(cells[1].layers.map(layer => layer.sample), ['iya-open', 'iya-slap']);
+            assert.strictEqual(cells[1].nudge, -0.1);
+        });
+
+        it('should export the master volume last set', () => {
+            player.setMasterVolume(0.6);
+            assert.strictEqual(player.exportState({ getSampleId }).masterVolume, 0.6);
+        });
+
+        it('should not export audio without a sample ID', () => {
+            samples.delete('iya-slap');
+            assert.isNull(player.exportState({ getSampleId }));
+        });
+
+        it('should reject a document from a newer version', () => {
+            const state = { ...player.exportState({ getSampleId }), version: 99 };
+            const other = new MultiTrackPlayer(audioContext);
+            assert.isFalse(other.importState(state, { getSample }));
+        });
+
+        it('should leave the player untouched when a document is malformed', () => {
+            const state = player.exportState({ getSampleId });
+            const other = new MultiTrackPlayer(audioContext);
+            other.addTrack('okonkolo');
+            assert.isFalse(other.importState({ ...state, bpm: 'fast' }, { getSample }));
+            assert.isFalse(other.importState(state, { getSample: () => null }), 'Unknown samples should be rejected');
+            assert.isFalse(other.importState('{ not json', { getSample }));
+            assert.deepEqual(Array.from(other.getTracks().keys()), ['okonkolo']);
+            assert.strictEqual(other.getBPM(), 120);
+        });
+
+        it('should check nested settings before changing anything', async () => {
+            const state = player.exportState({ getSampleId });
+            const other = new MultiTrackPlayer(audioContext);
+            other.addTrack('okonkolo');
+            await other.registerSample('iya-open', samples.get('iya-open'));
+            const malformed = [
+                doc => { doc.tracks[0].playMode = 'mono'; },
+                doc => { doc.tracks[0].playMode = { mode: 'choke' }; },
+                doc => { doc.tracks[0].inserts.eq.low = 40; },
+                doc => { doc.tracks[0].inserts.compressor = { ratio: '4' }; },
+                doc => { doc.tracks[0].sends = { chorus: 0.5 }; },
+                doc => { doc.tracks[0].cycle = { columns: 0 }; },
+                doc => { doc.tracks[0].cells[1].layers[1].gain = -1; },
+                doc => { doc.effects.delay.cells = -4; },
+                doc => { doc.effects.limiter.release = 5; },
+                doc => { doc.effects.returns = { reverb: 2 }; },
+                doc => { doc.tempoMap = [{ measure: 0, column: 0, bpm: 140, rampMeasures: 2, curve: 'cubic' }]; },
+                doc => { doc.sections = { a: { startMeasure: 0, measureCount: 0 } }; },
+                doc => { doc.sampleTrims = { 'iya-open': { start: 0, end: 10, fadeIn: 0, fadeOut: 0 } }; }
+            ];
+            malformed.forEach((breakDocument, i) => {
+                const doc = JSON.parse(JSON.stringify(state));
+                breakDocument(doc);
+                assert.isFalse(other.importState(doc, { getSample }), `Document ${i} should be rejected`);
+            });
+            assert.deepEqual(Array.from(other.getTracks().keys()), ['okonkolo']);
+        });
+
+        it('should reset nested settings missing from the document to their defaults', () => {
+            const state = player.exportState({ getSampleId });
+            state.tracks[0].inserts = {};
+            const other = new MultiTrackPlayer(audioContext);
+            assert.isTrue(other.importState(state, { getSample }));
+            assert.strictEqual(other.getTrackInserts('iya').pan, 0);
+        });
+
+        it('should not import while playing', () => {
+            const state = player.exportState({ getSampleId });
+            player.play();
+            assert.isFalse(player.importState(state, { getSample }));
+        });
+    });
+
     describe('Looping', () => {
         it('should set looping state', () => {
             player.setLooping(false);
@@ -2,51 +2,77 @@
 
 let audioContext;
 let player;
-let audioFiles = {}; // Stores decoded AudioBuffers by their simplified name (e.g., 'itotele-open')
-let selectedSoundType = null; // 'open', 'slap', or 'combined'
+let audioFiles = {}; // Stores decoded AudioBuffers by sample ID, '<instrument>-<stroke>' (e.g., 'itotele-open')
+let selectedSoundType = null; // The ID of the selected stroke (e.g., 'open', 'slap' or 'combined')
+const slotStatus = new Map(); // Map<sampleId, {fileName, duration?, sampleRate?, error?, synthesized?}>: what each kit slot plays
+let pendingSlotId = null; // The kit slot whose file chooser is open, if any
 
-// Expected file names (without .wav extension)
-const EXPECTED_FILE_NAMES = [
-    'itotele-open', 'itotele-slap', 'iya-open',
-    'iya-slap', 'okonkolo-open', 'okonkolo-slap'
-];
-
-const trackOrder = ['okonkolo', 'itotele', 'iya']; // Order for displaying tracks
+// The kit being played: its instruments, one track each, and their strokes (see normalizeKit)
+let kit = null;
+let trackOrder = []; // Order for displaying tracks: the kit's instrument IDs
 
 // Initial grid data will be empty now, filled by user interaction
-let currentGridState = new Map(); // Map<trackId, Map<columnIndex, soundType>>
+let currentGridState = new Map(); // Map<trackId, Map<columnIndex, {soundType, velocity}>>
 
 // Store track mute states and last non-muted volumes
 const trackMuteStates = new Map(); // Map<trackId, boolean>
 const trackLastVolumes = new Map(); // Map<trackId, number> (0.0 to 1.0)
-
-// Define color palettes for each instrument
-const instrumentColors = {
-    okonkolo: {
-        dark: '#C62828', // Dark Red
-        light: '#EF9A9A' // Light Red
-    },
-    itotele: {
-        dark: '#FBC02D', // Dark Yellow
-        light: '#FFF59D' // Light Yellow
-    },
-    iya: {
-        dark: '#1565C0', // Dark Blue
-        light: '#90CAF9' // Light Blue
-    },
-    muted: {
-        dark: '#757575', // Gray
-        light: '#BDBDBD' // Lighter Gray
-    }
-};
+let insertPanelTrackId = null; // Track whose insert effects panel is open, if any
 
 // Define the volume multiplier for the slap sound in combined hits
 const SLAP_VOLUME_MULTIPLIER = 3.0;
 
+// Shapes a stroke can be drawn with, in the sound selection and on the grid
+const STROKE_SYMBOLS = ['circle', 'triangle', 'combined', 'square', 'diamond'];
+
+// Colors for instruments that don't define their own, taken in turn
+const DEFAULT_INSTRUMENT_COLORS = ['#C62828', '#FBC02D', '#1565C0', '#2E7D32', '#6A1B9A', '#EF6C00'];
+
+// Synthesized voices for strokes of a kit that don't define one, until a sample file is loaded for them:
+// an instrument's first stroke gets the tone, the others the slap, a little lower for each further instrument
+const FALLBACK_VOICES = {
+    tone: { pitch: 220, decay: 0.5, bend: 0.3, noise: 0.05, noiseDecay: 0.02 },
+    slap: { pitch: 330, decay: 0.15, bend: 1.0, noise: 0.6, noiseDecay: 0.05 }
+};
+
+// The kit loaded on startup: the three batá drums, from the small okonkolo to the large iya,
+// each with open and slap strokes and the mordito
+const DEFAULT_KIT = {
+    name: 'Batá',
+    instruments: [
+        createBataDrum('okonkolo', 'Okonkolo', { dark: '#C62828', light: '#EF9A9A' }, 330), // Red
+        createBataDrum('itotele', 'Itotele', { dark: '#FBC02D', light: '#FFF59D' }, 220), // Yellow
+        createBataDrum('iya', 'Iya', { dark: '#1565C0', light: '#90CAF9' }, 130) // Blue
+    ]
+};
+
+// Velocity levels for placed hits; shift-click on a filled cell cycles normal -> accent -> ghost.
+// Normal hits leave headroom below full velocity, so accents stand out without boosting the audio
+const VELOCITY_LEVELS = {
+    normal: 0.7,
+    accent: 1.0,
+    ghost: 0.35
+};
+const VELOCITY_CYCLE = ['normal', 'accent', 'ghost'];
+
+// Tracks set to 'choke' in the play mode selectors all share this choke group
+const CHOKE_GROUP = 'drums';
+
+// Level meters show -60 dBFS (empty) to 0 dBFS (full)
+const METER_FLOOR_DB = -60;
+
+// Groove templates offered in the groove selector: per-column offsets as a fraction of a cell
+const GROOVE_PRESETS = {
+    'Afro-Cuban 6/8 (between straight and triplet)': [0, 0.12, -0.06],
+    'Laid-back sixteenths': [0, 0.08, 0.04, 0.1],
+    'Pushed sixteenths': [0, -0.06, -0.03, -0.08]
+};
+
 const ui = {
     audioFileInput: document.getElementById('audio-file-input'),
     chooseFilesBtn: document.getElementById('choose-files-btn'), // Updated button reference
     loadingStatus: document.getElementById('loading-status'),
+    autoTrimToggle: document.getElementById('auto-trim-toggle'),
     playBtn: document.getElementById('play-btn'),
     pauseBtn: document.getElementById('pause-btn'),
     stopBtn: document.getElementById('stop-btn'),
@@ -54,20 +80,398 @@ const ui = {
     bpmValue: document.getElementById('bpm-value'),
     masterVolumeSlider: document.getElementById('master-volume-slider'),
     masterVolumeValue: document.getElementById('master-volume-value'),
+    limiterToggle: document.getElementById('limiter-toggle'),
+    clipIndicator: document.getElementById('clip-indicator'),
+    reverbReturnSlider: document.getElementById('reverb-return-slider'),
+    reverbReturnValue: document.getElementById('reverb-return-value'),
+    delayReturnSlider: document.getElementById('delay-return-slider'),
+    delayReturnValue: document.getElementById('delay-return-value'),
     loopToggle: document.getElementById('loop-toggle'),
+    swingSlider: document.getElementById('swing-slider'),
+    swingValue: document.getElementById('swing-value'),
+    grooveSelector: document.getElementById('groove-selector'),
+    metronomeToggle: document.getElementById('metronome-toggle'),
+    metronomeVolumeSlider: document.getElementById('metronome-volume-slider'),
+    metronomeVolumeValue: document.getElementById('metronome-volume-value'),
+    metronomeBeatsInput: document.getElementById('metronome-beats-input'),
+    countInSelector: document.getElementById('count-in-selector'),
+    countInOverlay: document.getElementById('count-in-overlay'),
     gridContainer: document.getElementById('grid-container'),
+    exportLoopsInput: document.getElementById('export-loops'),
+    exportWavBtn: document.getElementById('export-wav-btn'),
+    exportStemsBtn: document.getElementById('export-stems-btn'),
+    exportPreFaderToggle: document.getElementById('export-pre-fader'),
 
     // New UI elements for grid settings
     timeNumeratorInput: document.getElementById('time-numerator'),
     timeDenominatorInput: document.getElementById('time-denominator'),
     subdivisionSelector: document.getElementById('subdivision-selector'),
+    patternMeasuresInput: document.getElementById('pattern-measures'),
+    arrangementInput: document.getElementById('arrangement-input'),
+    trackCyclesInput: document.getElementById('track-cycles-input'),
+    playModeControls: document.getElementById('play-mode-controls'),
+    chokeFadeInput: document.getElementById('choke-fade-input'),
+    insertPanel: document.getElementById('insert-panel'),
+    insertPanelTitle: document.getElementById('insert-panel-title'),
+    insertPan: document.getElementById('insert-pan'),
+    insertEqLow: document.getElementById('insert-eq-low'),
+    insertEqMid: document.getElementById('insert-eq-mid'),
+    insertEqHigh: document.getElementById('insert-eq-high'),
+    insertCompEnabled: document.getElementById('insert-comp-enabled'),
+    insertCompThreshold: document.getElementById('insert-comp-threshold'),
+    insertCompRatio: document.getElementById('insert-comp-ratio'),
+    insertReverbSend: document.getElementById('insert-reverb-send'),
+    insertDelaySend: document.getElementById('insert-delay-send'),
+    insertPanelClose: document.getElementById('insert-panel-close'),
+    positionDisplay: document.getElementById('position-display'),
     applyGridSettingsBtn: document.getElementById('apply-grid-settings-btn'),
     clearGridBtn: document.getElementById('clear-grid-btn'), // New button reference
 
-    // New UI elements for sound selection (no direct change needed here, just HTML structure)
-    soundSymbols: document.querySelectorAll('.sound-symbol')
+    // Kit controls and the add instrument dialog
+    loadKitBtn: document.getElementById('load-kit-btn'),
+    kitFileInput: document.getElementById('kit-file-input'),
+    saveKitBtn: document.getElementById('save-kit-btn'),
+    addInstrumentBtn: document.getElementById('add-instrument-btn'),
+    instrumentDialog: document.getElementById('instrument-dialog'),
+    instrumentForm: document.getElementById('instrument-form'),
+    instrumentError: document.getElementById('instrument-error'),
+    instrumentNameInput: document.getElementById('instrument-name'),
+    instrumentColorInput: document.getElementById('instrument-color'),
+    instrumentStrokesInput: document.getElementById('instrument-strokes'),
+
+    // Kit slots: one per stroke that plays a file, each showing its sample and accepting dropped files
+    kitSlots: document.getElementById('kit-slots'),
+    slotFileInput: document.getElementById('slot-file-input'),
+
+    // Sound selection, filled with the kit's strokes
+    soundPalette: document.getElementById('sound-palette')
 };
 
+// --- Kit Definition ---
+/**
+ * Builds a batá drum for the default kit: open and slap strokes from '<id>-open.wav' and '<id>-slap.wav',
+ * and the mordito, which plays both with the slap boosted on top. Until the files are loaded, the strokes
+ * play synthesized voices tuned to the drum.
+ * @param {string} id The instrument ID.
+ * @param {string} name The instrument's display name.
+ * @param {{dark: string, light: string}} colors The instrument's colors.
+ * @param {number} pitch The pitch of the open tone's voice, in Hz.
+ * @returns {Object} The instrument definition.
+ */
+function createBataDrum(id, name, colors, pitch) {
+    return {
+        id,
+        name,
+        colors,
+        strokes: [
+            { id: 'open', name: 'Open', symbol: 'circle', voice: { pitch, decay: 0.6, bend: 0.3, noise: 0.05, noiseDecay: 0.02 } },
+            { id: 'slap', name: 'Slap', symbol: 'triangle', voice: { pitch: pitch * 1.5, decay: 0.15, bend: 1.0, noise: 0.6, noiseDecay: 0.05 } },
+            { id: 'combined', name: 'Mordito', symbol: 'combined', layers: [{ stroke: 'open' }, { stroke: 'slap', gain: SLAP_VOLUME_MULTIPLIER }] }
+        ]
+    };
+}
+
+/**
+ * Checks a kit definition and fills in its defaults. A kit is
+ * {name, instruments: [{id, name?, colors?: {dark, light?}, strokes: [{id, name?, symbol?, file?, voice? | layers?}]}]}.
+ * A stroke plays the WAV file named by 'file' (without extension; '<instrument id>-<stroke id>' by default),
+ * and until it is loaded a synthesized voice ({pitch, decay, bend, noise, noiseDecay}, see the player's
+ * synthesizeVoice()); or it plays other strokes of its instrument together: layers: [{stroke, gain?}].
+ * @param {Object} definition The kit definition, e.g. parsed from a kit JSON file.
+ * @param {function(string)} [reportError] Told why the kit is invalid; logs it to the console by default.
+ * @returns {Object|null} The kit with every default filled in, or null (after reporting why) if it is invalid.
+ */
+function normalizeKit(definition, reportError = (message) => console.error(message)) {
+    if (!definition || !Array.isArray(definition.instruments) || definition.instruments.length === 0) {
+        reportError("Invalid kit: it needs a list of instruments.");
+        return null;
+    }
+    const isValidId = (id) => typeof id === 'string' && /^[\w-]+$/.test(id);
+    const instruments = [];
+    const files = new Set();
+
+    for (const [index, instrument] of definition.instruments.entries()) {
+        if (!instrument || !isValidId(instrument.id) || instruments.some(other => other.id === instrument.id)) {
+            reportError(`Invalid kit: instrument ${index + 1} needs a unique ID of letters, digits, '_' or '-'.`);
+            return null;
+        }
+        if (!Array.isArray(instrument.strokes) || instrument.strokes.length === 0) {
+            reportError(`Invalid kit: instrument '${instrument.id}' has no strokes.`);
+            return null;
+        }
+        const strokes = [];
+        for (const stroke of instrument.strokes) {
+            if (!stroke || !isValidId(stroke.id) || strokes.some(other => other.id === stroke.id)) {
+                reportError(`Invalid kit: every stroke of '${instrument.id}' needs a unique ID of letters, digits, '_' or '-'.`);
+                return null;
+            }
+            const symbol = stroke.symbol !== undefined ? stroke.symbol : 'circle';
+            if (!STROKE_SYMBOLS.includes(symbol)) {
+                reportError(`Invalid kit: unknown symbol '${symbol}' for '${instrument.id}' ${stroke.id}. Use one of ${STROKE_SYMBOLS.join(', ')}.`);
+                return null;
+            }
+            const normalized = { id: stroke.id, name: typeof stroke.name === 'string' ? stroke.name : stroke.id, symbol };
+            if (stroke.layers !== undefined) {
+                if (!Array.isArray(stroke.layers) || stroke.layers.length === 0) {
+                    reportError(`Invalid kit: '${instrument.id}' ${stroke.id} needs at least one layer.`);
+                    return null;
+                }
+                normalized.layers = stroke.layers.map(layer => ({
+                    stroke: layer && layer.stroke,
+                    gain: layer && layer.gain !== undefined ? layer.gain : 1.0
+                }));
+            } else {
+                if (stroke.voice !== undefined && (typeof stroke.voice !== 'object' || stroke.voice === null)) {
+                    reportError(`Invalid kit: the voice of '${instrument.id}' ${stroke.id} must be an object of settings.`);
+                    return null;
+                }
+                if (stroke.voice !== undefined) {
+                    normalized.voice = { ...stroke.voice };
+                }
+                normalized.file = typeof stroke.file === 'string' ? stroke.file : `${instrument.id}-${stroke.id}`;
+                if (files.has(normalized.file)) {
+                    reportError(`Invalid kit: the file '${normalized.file}' is used by more than one stroke.`);
+                    return null;
+                }
+                files.add(normalized.file);
+            }
+            strokes.push(normalized);
+        }
+        // Layers can only name strokes of the same instrument that play a file
+        for (const stroke of strokes.filter(stroke => stroke.layers)) {
+            const isValidLayer = (layer) => {
+                const target = strokes.find(other => other.id === layer.stroke);
+                return target && !target.layers && typeof layer.gain === 'number' && layer.gain >= 0;
+            };
+            if (!stroke.layers.every(isValidLayer)) {
+                reportError(`Invalid kit: the layers of '${instrument.id}' ${stroke.id} must be {stroke, gain >= 0} naming its other strokes.`);
+                return null;
+            }
+        }
+        const colors = instrument.colors || {};
+        const dark = typeof colors.dark === 'string' ? colors.dark : DEFAULT_INSTRUMENT_COLORS[index % DEFAULT_INSTRUMENT_COLORS.length];
+        instruments.push({
+            id: instrument.id,
+            name: typeof instrument.name === 'string' ? instrument.name : instrument.id,
+            colors: { dark, light: typeof colors.light === 'string' ? colors.light : lightenColor(dark) },
+            strokes
+        });
+    }
+    return { name: typeof definition.name === 'string' ? definition.name : 'Untitled kit', instruments };
+}
+
+/**
+ * Mixes a '#rrggbb' color with white, for the volume gradient of an instrument without a light color.
+ * @param {string} color The color.
+ * @returns {string} The lighter color (or the color itself if it isn't '#rrggbb').
+ */
+function lightenColor(color) {
+    const match = /^#([0-9a-f]{6})$/i.exec(color);
+    if (!match) {
+        return color;
+    }
+    const value = parseInt(match[1], 16);
+    const channels = [value >> 16, (value >> 8) & 0xff, value & 0xff].map(channel => Math.round(channel + (255 - channel) * 0.6));
+    return `#${channels.map(channel => channel.toString(16).padStart(2, '0')).join('')}`;
+}
+
+/**
+ * @param {string} trackId The track, i.e. the instrument's ID.
+ * @returns {Object|undefined} The kit's instrument.
+ */
+function getInstrument(trackId) {
+    return kit.instruments.find(instrument => instrument.id === trackId);
+}
+
+/**
+ * @param {string} trackId The track, i.e. the instrument's ID.
+ * @param {string} strokeId The stroke's ID.
+ * @returns {Object|undefined} The instrument's stroke.
+ */
+function getStroke(trackId, strokeId) {
+    const instrument = getInstrument(trackId);
+    return instrument ? instrument.strokes.find(stroke => stroke.id === strokeId) : undefined;
+}
+
+/**
+ * Lists the sample files the kit needs: one for every stroke that isn't made of layers.
+ * @returns {Map<string, string>} The sample ID ('<instrument>-<stroke>') by file name (without extension).
+ */
+function getKitFiles() {
+    const files = new Map();
+    kit.instruments.forEach(instrument => {
+        instrument.strokes.filter(stroke => stroke.file).forEach(stroke => files.set(stroke.file, `${instrument.id}-${stroke.id}`));
+    });
+    return files;
+}
+
+/**
+ * @returns {boolean} True if at least one of the kit's samples is loaded, so there is something to play.
+ */
+function hasLoadedSamples() {
+    return Object.keys(audioFiles).length > 0;
+}
+
+/**
+ * @param {string} trackId The track, i.e. the instrument's ID.
+ * @param {string} strokeId The stroke's ID.
+ * @returns {boolean} True if the instrument has the stroke and all the samples it plays are loaded.
+ */
+function isStrokeLoaded(trackId, strokeId) {
+    const stroke = getStroke(trackId, strokeId);
+    if (!stroke) {
+        return false;
+    }
+    const strokeIds = stroke.layers ? stroke.layers.map(layer => layer.stroke) : [stroke.id];
+    return strokeIds.every(id => audioFiles[`${trackId}-${id}`]);
+}
+
+/**
+ * Registers a synthesized voice for each of an instrument's strokes that plays a file, so the kit is audible before
+ * any file is loaded. Loading a file into the slot replaces the voice.
+ * @param {Object} instrument The kit's instrument.
+ */
+async function registerFallbackVoices(instrument) {
+    const instrumentIndex = kit.instruments.indexOf(instrument);
+    for (const [strokeIndex, stroke] of instrument.strokes.entries()) {
+        const sampleId = `${instrument.id}-${stroke.id}`;
+        if (!stroke.file || audioFiles[sampleId]) {
+            continue;
+        }
+        let voice = stroke.voice;
+        if (!voice) {
+            const fallback = strokeIndex === 0 ? FALLBACK_VOICES.tone : FALLBACK_VOICES.slap;
+            voice = { ...fallback, pitch: fallback.pitch * Math.pow(0.8, instrumentIndex) };
+        }
+        const buffer = await player.registerSample(sampleId, { voice });
+        if (buffer) {
+            audioFiles[sampleId] = buffer;
+            slotStatus.set(sampleId, { synthesized: true, duration: buffer.duration, sampleRate: buffer.sampleRate });
+        }
+    }
+    renderKitSlots();
+    updateUIControls();
+}
+
+/**
+ * Replaces the kit. The player gets one track per instrument, and the grid, sound selection and loaded sounds start afresh.
+ * @param {Object} definition The kit definition (see normalizeKit).
+ * @returns {boolean} True if the kit was valid and applied.
+ */
+function applyKit(definition) {
+    const newKit = normalizeKit(definition);
+    if (!newKit) {
+        return false;
+    }
+    player.stop();
+    trackOrder.forEach(trackId => player.removeTrack(trackId));
+    player.releaseUnusedSamples();
+    trackMuteStates.clear();
+    trackLastVolumes.clear();
+    currentGridState = new Map();
+    audioFiles = {};
+    slotStatus.clear();
+    selectedSoundType = null;
+
+    kit = newKit;
+    trackOrder = kit.instruments.map(instrument => instrument.id);
+    trackOrder.forEach(trackId => player.addTrack(trackId));
+    renderPlayModeSelectors();
+    renderSoundPalette();
+    renderKitSlots();
+    renderGrid();
+    kit.instruments.forEach(registerFallbackVoices);
+    ui.loadingStatus.textContent = `Kit "${kit.name}" ready with synthesized sounds. Load its samples, or drop WAV files on the page or on a slot.`;
+    return true;
+}
+
+/**
+ * Loads a kit from a JSON file chosen by the user.
+ */
+async function handleKitFileSelection() {
+    const file = ui.kitFileInput.files[0];
+    if (!file) {
+        return;
+    }
+    ui.kitFileInput.value = ''; // Allow choosing the same file again
+    try {
+        if (!applyKit(JSON.parse(await file.text()))) {
+            ui.loadingStatus.textContent = `${file.name} is not a valid kit. See console for details.`;
+        }
+    } catch (e) {
+        console.error(`Error reading kit file ${file.name}:`, e);
+        ui.loadingStatus.textContent = `${file.name} is not a valid kit. See console for details.`;
+    }
+    updateUIControls();
+}
+
+/**
+ * Adds an instrument to the kit from the add instrument dialog. Its strokes are comma-separated
+ * "id[:name[:symbol]]" entries, each playing the file '<instrument id>-<stroke id>.wav'.
+ * Instruments can only be added while stopped, as adding one changes the tracks.
+ * @returns {string|null} Why the instrument could not be added (also logged), or null if it was added.
+ */
+function addInstrumentFromDialog() {
+    if (player.getStatus().isPlaying || player.getStatus().isPaused) {
+        const reason = "Stop playback before adding an instrument.";
+        console.warn(reason);
+        return reason;
+    }
+    const name = ui.instrumentNameInput.value.trim();
+    const id = name.toLowerCase().replace(/[^\w-]+/g, '-').replace(/^-+|-+$/g, '');
+    const strokes = ui.instrumentStrokesInput.value.split(',').map(entry => entry.trim()).filter(entry => entry.length > 0)
+        .map(entry => {
+            const [strokeId, strokeName, symbol] = entry.split(':').map(part => part.trim());
+            return { id: strokeId, name: strokeName || strokeId, symbol: symbol || 'circle' };
+        });
+    let reason = null;
+    const newKit = normalizeKit({ ...kit, instruments: [...kit.instruments, { id, name, colors: { dark: ui.instrumentColorInput.value }, strokes }] },
+        (message) => {
+            console.error(message);
+            reason = message;
+        });
+    if (!newKit) {
+        return reason;
+    }
+    kit = newKit;
+    trackOrder.push(id);
+    player.addTrack(id);
+    renderPlayModeSelectors();
+    renderSoundPalette();
+    renderKitSlots();
+    renderGrid();
+    registerFallbackVoices(getInstrument(id));
+    ui.loadingStatus.textContent = `Added ${name} with synthesized sounds. Load or drop its samples: ${strokes.map(stroke => `${id}-${stroke.id}.wav`).join(', ')}`;
+    return null;
+}
+
+/**
+ * Fills the sound selection with the kit's strokes. Instruments share a stroke with the same ID (drawn with the
+ * first one's symbol), so one selection places the stroke on any instrument that has it.
+ */
+function renderSoundPalette() {
+    ui.soundPalette.innerHTML = '';
+    const strokes = new Map();
+    kit.instruments.forEach(instrument => instrument.strokes.forEach(stroke => {
+        if (!strokes.has(stroke.id)) {
+            strokes.set(stroke.id, stroke);
+        }
+    }));
+    strokes.forEach(stroke => {
+        const wrapper = document.createElement('div');
+        wrapper.classList.add('sound-symbols');
+        const symbol = document.createElement('div');
+        symbol.classList.add('sound-symbol', stroke.symbol);
+        symbol.dataset.soundType = stroke.id;
+        symbol.addEventListener('click', handleSoundSymbolClick);
+        const caption = document.createElement('span');
+        caption.classList.add('sound-caption');
+        caption.textContent = stroke.name;
+        wrapper.append(symbol, caption);
+        ui.soundPalette.appendChild(wrapper);
+    });
+}
+
 // --- Audio Loading Functions ---
 async function decodeAudioFile(file) {
     try {
@@ -80,11 +484,41 @@ async function decodeAudioFile(file) {
     }
 }
 
-async function handleFileSelection() {
-    const files = ui.audioFileInput.files;
+/**
+ * Decodes an audio file into a kit slot, whatever the file is called, and registers it with the player
+ * (replacing the slot's sample updates every hit already placed), trimming its leading silence if auto-trim
+ * is on. A file that can't be decoded is shown as an error on the slot, which keeps its previous sample.
+ * @param {string} sampleId The slot's sample ID ('<instrument>-<stroke>').
+ * @param {File} file The audio file.
+ * @returns {Promise<boolean>} True if the file was loaded.
+ */
+async function loadFileIntoSlot(sampleId, file) {
+    const buffer = await decodeAudioFile(file);
+    if (!buffer) {
+        slotStatus.set(sampleId, { fileName: file.name, error: 'could not be decoded' });
+        renderKitSlots();
+        return false;
+    }
+    const options = { autoTrim: ui.autoTrimToggle.checked };
+    if (player.getSample(sampleId)) {
+        await player.replaceSample(sampleId, buffer, options);
+    } else {
+        await player.registerSample(sampleId, buffer, options);
+    }
+    audioFiles[sampleId] = buffer;
+    slotStatus.set(sampleId, { fileName: file.name, duration: buffer.duration, sampleRate: buffer.sampleRate });
+    renderKitSlots();
+    return true;
+}
+
+/**
+ * Loads files into the kit slots whose file names they match (e.g. 'iya-open.wav'). Files that match no slot
+ * are listed in the loading status, so they can be dropped on a slot instead.
+ * @param {FileList|Array<File>} files The audio files.
+ */
+async function loadFilesByName(files) {
     if (files.length === 0) {
         ui.loadingStatus.textContent = 'No files selected.';
-        ui.playBtn.disabled = true; // Ensure play button is disabled if no files
         return;
     }
 
@@ -93,41 +527,142 @@ async function handleFileSelection() {
     ui.chooseFilesBtn.disabled = true; // Disable custom button during loading
 
     let loadedCount = 0;
-    let missingFiles = new Set(EXPECTED_FILE_NAMES);
-    audioFiles = {}; // Clear previously loaded files on new selection
+    const kitFiles = getKitFiles();
+    const unmatchedFiles = [];
 
     for (const file of files) {
         // Extract base name without extension for comparison
         const fileNameWithoutExt = file.name.split('.').slice(0, -1).join('.');
-        if (EXPECTED_FILE_NAMES.includes(fileNameWithoutExt)) {
-            const buffer = await decodeAudioFile(file);
-            if (buffer) {
-                audioFiles[fileNameWithoutExt] = buffer;
-                missingFiles.delete(fileNameWithoutExt);
+        if (kitFiles.has(fileNameWithoutExt)) {
+            if (await loadFileIntoSlot(kitFiles.get(fileNameWithoutExt), file)) {
                 loadedCount++;
             }
         } else {
-            console.warn(`Unexpected file: ${file.name}. It will be ignored.`);
+            console.warn(`Unexpected file: ${file.name}. Drop it on a slot to use it.`);
+            unmatchedFiles.push(file.name);
         }
     }
 
-    if (missingFiles.size > 0) {
-        ui.loadingStatus.textContent = `Error: Missing the following files: ${Array.from(missingFiles).map(name => `${name}.wav`).join(', ')}`;
-        ui.playBtn.disabled = true;
-    } else if (loadedCount === EXPECTED_FILE_NAMES.length) {
-        ui.loadingStatus.textContent = 'All WAV files loaded successfully! Ready for playback.';
-        // After files are loaded, populate the player's grid with current UI state
-        // This also re-renders the grid UI to show symbols if they were placed before loading
-        updatePlayerGridDataAndRenderUI();
-        ui.playBtn.disabled = false; // Enable play button
-        console.log('Player initialized. All audio files loaded.');
-    } else {
-        ui.loadingStatus.textContent = `Loaded ${loadedCount}/${EXPECTED_FILE_NAMES.length} files. Please try again.`;
-        ui.playBtn.disabled = true;
+    const sampledCount = Array.from(kitFiles.values()).filter(sampleId => slotStatus.has(sampleId) && !slotStatus.get(sampleId).synthesized).length;
+    let statusText = `Loaded ${loadedCount} of ${files.length} files; ${sampledCount}/${kitFiles.size} kit sounds use samples.`;
+    if (unmatchedFiles.length > 0) {
+        statusText += ` Not matching any slot (drop them on a slot instead): ${unmatchedFiles.join(', ')}`;
     }
+    ui.loadingStatus.textContent = statusText;
 
     ui.audioFileInput.disabled = false; // Re-enable input after loading attempt
     ui.chooseFilesBtn.disabled = false; // Re-enable custom button after loading attempt
+    updateUIControls();
+}
+
+async function handleFileSelection() {
+    await loadFilesByName(Array.from(ui.audioFileInput.files));
+    ui.audioFileInput.value = ''; // Allow choosing the same files again
+}
+
+/**
+ * Describes a kit slot's sample: its file (or synthesized voice), duration, sample rate and trimmed silence,
+ * a decode error, or that it is empty.
+ * @param {string} sampleId The slot's sample ID.
+ * @param {string} defaultFile The file name the slot is matched by (without extension).
+ * @returns {string} The status text.
+ */
+function describeSlotStatus(sampleId, defaultFile) {
+    const status = slotStatus.get(sampleId);
+    if (status && status.error) {
+        return `${status.fileName} ${status.error}${audioFiles[sampleId] ? ' (keeping the previous sound)' : ''}`;
+    }
+    if (status && status.synthesized) {
+        return `Synthesized · ${status.duration.toFixed(2)} s (drop ${defaultFile}.wav to replace)`;
+    }
+    if (status) {
+        const trim = player.getSampleTrim(sampleId);
+        const trimmed = trim && trim.start > 0 ? ` · trimmed ${Math.round(trim.start * 1000)} ms` : '';
+        return `${status.fileName} · ${status.duration.toFixed(2)} s · ${status.sampleRate / 1000} kHz${trimmed}`;
+    }
+    return `Not loaded (${defaultFile}.wav)`;
+}
+
+/**
+ * Renders a slot for every kit stroke that plays a file, showing its status. A file dropped on a slot,
+ * or chosen by clicking it, is loaded into that slot whatever its name.
+ */
+function renderKitSlots() {
+    ui.kitSlots.innerHTML = '';
+    kit.instruments.forEach(instrument => {
+        instrument.strokes.filter(stroke => stroke.file).forEach(stroke => {
+            const sampleId = `${instrument.id}-${stroke.id}`;
+            const status = slotStatus.get(sampleId);
+            const slot = document.createElement('div');
+            slot.classList.add('kit-slot');
+            slot.classList.toggle('loaded', Boolean(audioFiles[sampleId]) && !(status && status.synthesized));
+            slot.classList.toggle('error', Boolean(status && status.error));
+            slot.style.borderLeftColor = instrument.colors.dark;
+            slot.title = `Drop a WAV file here, or click to choose one, for ${instrument.name} ${stroke.name}`;
+
+            const name = document.createElement('span');
+            name.classList.add('kit-slot-name');
+            name.textContent = `${instrument.name} · ${stroke.name}`;
+            const detail = document.createElement('span');
+            detail.classList.add('kit-slot-status');
+            detail.textContent = describeSlotStatus(sampleId, stroke.file);
+            slot.append(name, detail);
+            if (status && !status.error && !status.synthesized) {
+                slot.appendChild(createTrimControls(sampleId));
+            }
+
+            slot.addEventListener('click', () => {
+                pendingSlotId = sampleId;
+                ui.slotFileInput.click();
+            });
+            slot.addEventListener('dragover', (e) => {
+                e.preventDefault();
+                slot.classList.add('drop-target');
+            });
+            slot.addEventListener('dragleave', () => slot.classList.remove('drop-target'));
+            slot.addEventListener('drop', async (e) => {
+                // Handled here rather than by the page, which would match the file by name
+                e.preventDefault();
+                e.stopPropagation();
+                document.body.classList.remove('dragging-files');
+                const file = e.dataTransfer.files[0];
+                if (file) {
+                    await loadFileIntoSlot(sampleId, file);
+                    updateUIControls();
+                }
+            });
+            ui.kitSlots.appendChild(slot);
+        });
+    });
+}
+
+/**
+ * Creates the trim inputs of a kit slot's sample: where it starts and ends, and its fades, in milliseconds.
+ * A change the player rejects (e.g. an end past the sample) is reverted when the slots are rendered again.
+ * @param {string} sampleId The slot's sample ID.
+ * @returns {HTMLElement} The trim controls.
+ */
+function createTrimControls(sampleId) {
+    const trim = player.getSampleTrim(sampleId);
+    const controls = document.createElement('div');
+    controls.classList.add('kit-slot-trim');
+    controls.addEventListener('click', (e) => e.stopPropagation()); // Don't open the slot's file chooser
+    [['start', 'Start'], ['end', 'End'], ['fadeIn', 'Fade in'], ['fadeOut', 'Fade out']].forEach(([key, label]) => {
+        const input = document.createElement('input');
+        input.type = 'number';
+        input.min = 0;
+        input.step = 1;
+        input.value = Math.round(trim[key] * 1000);
+        input.title = `${label} (ms)`;
+        input.addEventListener('change', () => {
+            player.setSampleTrim(sampleId, { [key]: Number(input.value) / 1000 });
+            renderKitSlots();
+        });
+        const field = document.createElement('label');
+        field.append(`${label} `, input);
+        controls.appendChild(field);
+    });
+    return controls;
 }
 
 // --- Grid UI Rendering ---
@@ -138,12 +673,14 @@ function renderGrid() {
     const timeNumerator = parseInt(ui.timeNumeratorInput.value, 10);
     const timeDenominator = parseInt(ui.timeDenominatorInput.value, 10);
     const subdivisionNoteValue = parseInt(ui.subdivisionSelector.value, 10);
+    const patternMeasures = parseInt(ui.patternMeasuresInput.value, 10);
 
     // Update player with current settings (should be in stop state)
-    player.setTimeSignature(timeNumerator, timeDenominator);
-    player.setSubdivisionNoteValue(subdivisionNoteValue);
+    player.setTimeSignature(timeNumerator, timeDenominator, subdivisionNoteValue);
+    player.setPatternLength(patternMeasures);
 
     const numberOfColumns = player._getMaxColumns(); // Get calculated columns from player
+    const columnsPerMeasure = player._getColumnsPerMeasure();
 
     // Calculate cells per beat for visual markers based on simple vs. compound meter
     let cellsPerBeat = 1;
@@ -161,11 +698,35 @@ function renderGrid() {
             // For simple meters, the beat is directly related to the denominator.
             cellsPerBeat = subdivisionNoteValue / timeDenominator;
         }
+        // Tuplet grids may not split the beat into whole cells (e.g. eighth triplets in 12/8);
+        // mark each denominator note instead, or every cell if even that doesn't fit.
+        if (!Number.isInteger(cellsPerBeat)) {
+            cellsPerBeat = subdivisionNoteValue / timeDenominator;
+        }
     }
     // Ensure cellsPerBeat is a positive integer for modulo operation
-    cellsPerBeat = Math.max(1, Math.round(cellsPerBeat));
+    cellsPerBeat = Number.isInteger(cellsPerBeat) ? Math.max(1, cellsPerBeat) : 1;
 
 
+    // Tracks with their own cycle have their own column count and cell width. Every row is laid out on a
+    // finer shared grid so cells of different subdivisions line up at their true proportional widths.
+    const trackLayouts = new Map();
+    trackOrder.forEach(trackId => {
+        trackLayouts.set(trackId, getTrackLayout(trackId, numberOfColumns, columnsPerMeasure, cellsPerBeat, subdivisionNoteValue));
+    });
+    let fineColumnsPerCell = 1;
+    trackLayouts.forEach(layout => {
+        fineColumnsPerCell = lcm(fineColumnsPerCell, layout.cellDenominator);
+    });
+    let totalFineColumns = numberOfColumns * fineColumnsPerCell;
+    trackLayouts.forEach(layout => {
+        layout.fineSpan = layout.cellSpan * fineColumnsPerCell;
+        totalFineColumns = Math.max(totalFineColumns, layout.columns * layout.fineSpan);
+    });
+    // Keep a pattern cell at least 50px wide, counting the gaps between the fine columns it spans
+    const fineMinWidth = Math.max(4, (50 - (fineColumnsPerCell - 1) * 5) / fineColumnsPerCell);
+    const gridTemplateColumns = `minmax(100px, 1fr) repeat(${totalFineColumns}, minmax(${fineMinWidth}px, 1fr))`;
+
     // Initialize currentGridState for new grid dimensions
     // Preserve existing placements if the grid size allows
     const newGridState = new Map();
@@ -173,7 +734,7 @@ function renderGrid() {
         newGridState.set(trackId, new Map());
         if (currentGridState.has(trackId)) {
             const oldTrackCells = currentGridState.get(trackId);
-            for (let i = 0; i < numberOfColumns; i++) {
+            for (let i = 0; i < trackLayouts.get(trackId).columns; i++) {
                 if (oldTrackCells.has(i)) {
                     newGridState.get(trackId).set(i, oldTrackCells.get(i));
                 }
@@ -182,19 +743,21 @@ function renderGrid() {
     });
     currentGridState = newGridState;
 
+    renderRuler(numberOfColumns, columnsPerMeasure, cellsPerBeat, gridTemplateColumns, fineColumnsPerCell);
 
     // Render tracks
     trackOrder.forEach(trackId => {
+        const layout = trackLayouts.get(trackId);
         const rowElement = document.createElement('div');
         rowElement.classList.add('grid-row');
         // Grid layout: first column for track control cell, then cells
-        rowElement.style.gridTemplateColumns = `minmax(100px, 1fr) repeat(${numberOfColumns}, minmax(50px, 1fr))`;
+        rowElement.style.gridTemplateColumns = gridTemplateColumns;
 
         // Create the smart track control cell
         const trackControlCell = document.createElement('div');
-        trackControlCell.classList.add('track-control-cell', `${trackId}-color`);
+        trackControlCell.classList.add('track-control-cell');
         trackControlCell.dataset.trackId = trackId;
-        trackControlCell.textContent = trackId.charAt(0).toUpperCase() + trackId.slice(1); // Capitalize
+        trackControlCell.textContent = getInstrument(trackId).name;
         trackControlCell.tabIndex = 0; // Make it focusable for keyboard events
 
 
@@ -207,7 +770,7 @@ function renderGrid() {
         }
 
         // Apply initial visual state (color and mute status)
-        updateTrackControlCellVisuals(trackId, player.getTracks().get(trackId)?.gainNode?.gain?.value || 1.0, trackMuteStates.get(trackId));
+        updateTrackControlCellVisuals(trackId, trackLastVolumes.get(trackId), trackMuteStates.get(trackId));
 
         // Add event listeners for mute/unmute (click) and volume control (drag + keyboard)
         let isDraggingVolume = false;
@@ -218,7 +781,7 @@ function renderGrid() {
             if (e.button === 0) { // Left click
                 isDraggingVolume = true;
                 startX = e.clientX; // Changed to clientX
-                initialVolume = player.getTracks().get(trackId)?.gainNode?.gain?.value || 1.0;
+                initialVolume = trackLastVolumes.get(trackId);
                 trackControlCell.style.cursor = 'ew-resize'; // Changed cursor to east-west resize
                 e.preventDefault(); // Prevent text selection during drag
             }
@@ -255,7 +818,7 @@ function renderGrid() {
         // Keyboard control for volume
         trackControlCell.addEventListener('keydown', (e) => {
             const step = 0.05; // Volume adjustment step
-            let currentVolume = player.getTracks().get(trackId)?.gainNode?.gain?.value || 1.0;
+            let currentVolume = trackLastVolumes.get(trackId);
             let newVolume = currentVolume;
 
             if (e.key === 'ArrowRight') {
@@ -285,34 +848,62 @@ function renderGrid() {
                 const newMuteState = !isMuted;
                 player.setTrackMuted(trackId, newMuteState);
                 trackMuteStates.set(trackId, newMuteState);
-                updateTrackControlCellVisuals(trackId, player.getTracks().get(trackId)?.gainNode?.gain?.value || 1.0, newMuteState);
+                updateTrackControlCellVisuals(trackId, trackLastVolumes.get(trackId), newMuteState);
             }
         });
 
+        // FX button: opens the track's insert effects (pan, EQ, compressor) without toggling mute
+        const fxButton = document.createElement('button');
+        fxButton.classList.add('fx-button');
+        fxButton.textContent = 'FX';
+        fxButton.title = `Pan, EQ and compression for ${trackControlCell.textContent}`;
+        fxButton.addEventListener('mousedown', (e) => e.stopPropagation());
+        fxButton.addEventListener('keydown', (e) => e.stopPropagation());
+        fxButton.addEventListener('click', (e) => {
+            e.stopPropagation();
+            openInsertPanel(trackId);
+        });
+        trackControlCell.appendChild(fxButton);
+
+        // Solo button: toggles the track's solo; alt-click solos it alone (or clears all solos if it already is)
+        const soloButton = document.createElement('button');
+        soloButton.classList.add('solo-button');
+        soloButton.textContent = 'S';
+        soloButton.title = `Solo ${trackControlCell.textContent} (alt-click: solo only this track)`;
+        soloButton.addEventListener('mousedown', (e) => e.stopPropagation());
+        soloButton.addEventListener('keydown', (e) => e.stopPropagation());
+        soloButton.addEventListener('click', (e) => {
+            e.stopPropagation();
+            const soloedTracks = player.getSoloedTracks();
+            const isSoloed = soloedTracks.includes(trackId);
+            if (e.altKey) {
+                player.setTrackSolo(trackId, !(isSoloed && soloedTracks.length === 1), { exclusive: true });
+            } else {
+                player.setTrackSolo(trackId, !isSoloed);
+            }
+        });
+        trackControlCell.appendChild(soloButton);
+        trackControlCell.appendChild(createLevelMeter(trackId));
+
         rowElement.appendChild(trackControlCell);
 
 
-        for (let i = 0; i < numberOfColumns; i++) {
+        for (let i = 0; i < layout.columns; i++) {
             const cellElement = document.createElement('div');
             cellElement.classList.add('grid-cell');
             cellElement.dataset.trackId = trackId;
             cellElement.dataset.columnIndex = i;
+            cellElement.style.gridColumn = `span ${layout.fineSpan}`;
 
-            // Add beat-marker class for visual separators
-            if (cellsPerBeat > 0 && i % cellsPerBeat === 0) {
+            // Add beat-marker and measure-marker classes for visual separators
+            if (layout.cellsPerBeat > 0 && i % layout.cellsPerBeat === 0) {
                 cellElement.classList.add('beat-marker');
             }
-
-            const soundTypeInCell = currentGridState.get(trackId)?.get(i);
-            if (soundTypeInCell) {
-                cellElement.classList.add('filled');
-                // Add symbol based on soundTypeInCell
-                const symbolDiv = document.createElement('div');
-                symbolDiv.classList.add('cell-symbol', soundTypeInCell); // Add 'open', 'slap', or 'combined' class
-                cellElement.appendChild(symbolDiv);
-            } else {
-                cellElement.textContent = '';
+            if (layout.columnsPerMeasure > 0 && i > 0 && i % layout.columnsPerMeasure === 0) {
+                cellElement.classList.add('measure-marker');
             }
+
+            renderCellContent(cellElement, currentGridState.get(trackId)?.get(i));
             cellElement.addEventListener('click', handleGridCellClick);
             rowElement.appendChild(cellElement);
         }
@@ -325,9 +916,154 @@ function renderGrid() {
     if (placeholder) {
         placeholder.remove();
     }
+    updateSoloVisuals();
     updateUIControls();
 }
 
+/**
+ * Works out how a track's row is laid out: its column count, how many pattern columns one of its cells spans,
+ * and where its beat and measure markers fall. Tracks without their own cycle follow the pattern.
+ * @param {string} trackId The track.
+ * @param {number} numberOfColumns Total columns in the pattern.
+ * @param {number} columnsPerMeasure Pattern columns in one measure.
+ * @param {number} cellsPerBeat Pattern columns in one beat.
+ * @param {number} subdivisionNoteValue The pattern's subdivision.
+ * @returns {{columns: number, cellSpan: number, cellDenominator: number, cellsPerBeat: number, columnsPerMeasure: number}}
+ *          cellSpan is in pattern columns; cellDenominator is the smallest count of equal parts a pattern column must be
+ *          split into for the cell span to be whole. Markers are 0 when they don't fall on the track's cells.
+ */
+function getTrackLayout(trackId, numberOfColumns, columnsPerMeasure, cellsPerBeat, subdivisionNoteValue) {
+    const cycle = player.getTrackCycle(trackId);
+    if (!cycle) {
+        return { columns: numberOfColumns, cellSpan: 1, cellDenominator: 1, cellsPerBeat, columnsPerMeasure };
+    }
+    const toTrackCells = (patternColumns) => {
+        const trackCells = patternColumns * cycle.subdivisionNoteValue / subdivisionNoteValue;
+        return Number.isInteger(trackCells) ? trackCells : 0;
+    };
+    return {
+        columns: cycle.columns,
+        cellSpan: subdivisionNoteValue / cycle.subdivisionNoteValue,
+        cellDenominator: cycle.subdivisionNoteValue / gcd(subdivisionNoteValue, cycle.subdivisionNoteValue),
+        cellsPerBeat: toTrackCells(cellsPerBeat),
+        columnsPerMeasure: toTrackCells(columnsPerMeasure)
+    };
+}
+
+function gcd(a, b) {
+    return b === 0 ? a : gcd(b, a % b);
+}
+
+function lcm(a, b) {
+    return a / gcd(a, b) * b;
+}
+
+/**
+ * Renders the timeline ruler above the grid. Clicking a column moves the playhead there.
+ * @param {number} numberOfColumns Total columns in the pattern.
+ * @param {number} columnsPerMeasure Columns in one measure.
+ * @param {number} cellsPerBeat Columns in one beat.
+ * @param {string} gridTemplateColumns The column layout shared by all grid rows.
+ * @param {number} fineColumnsPerCell How many layout columns one pattern column spans.
+ */
+function renderRuler(numberOfColumns, columnsPerMeasure, cellsPerBeat, gridTemplateColumns, fineColumnsPerCell) {
+    const rulerElement = document.createElement('div');
+    rulerElement.classList.add('grid-row', 'ruler-row');
+    rulerElement.style.gridTemplateColumns = gridTemplateColumns;
+
+    const labelCell = document.createElement('div');
+    labelCell.classList.add('ruler-label');
+    labelCell.textContent = 'Position';
+    rulerElement.appendChild(labelCell);
+
+    for (let i = 0; i < numberOfColumns; i++) {
+        const rulerCell = document.createElement('div');
+        rulerCell.classList.add('ruler-cell');
+        rulerCell.dataset.columnIndex = i;
+        rulerCell.style.gridColumn = `span ${fineColumnsPerCell}`;
+        const columnInMeasure = i % columnsPerMeasure;
+        if (columnInMeasure === 0) {
+            rulerCell.textContent = `${Math.floor(i / columnsPerMeasure) + 1}`; // Measure number
+            rulerCell.classList.add('measure-start');
+        } else if (columnInMeasure % cellsPerBeat === 0) {
+            rulerCell.textContent = `.${columnInMeasure / cellsPerBeat + 1}`; // Beat within the measure
+        }
+        rulerCell.title = `Jump to measure ${Math.floor(i / columnsPerMeasure) + 1}, column ${columnInMeasure + 1}`;
+        rulerCell.addEventListener('click', () => player.seek({ columnIndex: i }));
+        rulerElement.appendChild(rulerCell);
+    }
+
+    ui.gridContainer.appendChild(rulerElement);
+}
+
+/**
+ * Renders a grid cell's symbol from its state, or empties it.
+ * @param {HTMLElement} cellElement The grid cell element.
+ * @param {{soundType: string, velocity: string}|undefined} cellState The cell's sound type and velocity level, if any.
+ */
+function renderCellContent(cellElement, cellState) {
+    cellElement.innerHTML = ''; // Clear previous symbol/text
+    if (!cellState) {
+        cellElement.classList.remove('filled');
+        return;
+    }
+    cellElement.classList.add('filled');
+    const stroke = getStroke(cellElement.dataset.trackId, cellState.soundType);
+    const symbolDiv = document.createElement('div');
+    symbolDiv.classList.add('cell-symbol', stroke ? stroke.symbol : 'circle'); // Add the stroke's symbol class, e.g. 'triangle'
+    if (cellState.velocity !== 'normal') {
+        symbolDiv.classList.add(cellState.velocity); // Add 'accent' or 'ghost' class
+    }
+    cellElement.appendChild(symbolDiv);
+}
+
+/**
+ * Builds the audio data the player expects for a stroke on a track, referring to the registered samples by ID.
+ * @param {string} trackId The ID of the track.
+ * @param {string} soundType The ID of one of the instrument's strokes (e.g., 'open', 'slap' or 'combined').
+ * @returns {string|{layers: Array<{sample: string, gain: number}>}|null} The audio data, or null if the instrument
+ *          has no such stroke or samples are missing.
+ */
+function getAudioDataForSound(trackId, soundType) {
+    const stroke = getStroke(trackId, soundType);
+    if (!stroke) {
+        console.error(`Cannot place ${soundType} sound: ${trackId} has no such stroke.`);
+        return null;
+    }
+    if (stroke.layers) {
+        // A layered stroke plays other strokes together, e.g. the mordito: the open tone with the slap boosted on top
+        const layers = stroke.layers.map(layer => ({ sample: `${trackId}-${layer.stroke}`, gain: layer.gain }));
+        if (layers.every(layer => audioFiles[layer.sample])) {
+            return { layers };
+        }
+        console.error(`Cannot place ${soundType} sound: Missing required audio buffers for ${trackId}.`);
+        return null;
+    }
+    // A single stroke plays its own sample
+    const sampleId = `${trackId}-${soundType}`;
+    if (audioFiles[sampleId]) {
+        return sampleId;
+    }
+    console.error(`Cannot place ${soundType} sound: Missing audio buffer for ${trackId}-${soundType}.`);
+    return null;
+}
+
+/**
+ * Places a cell's hit in the player: its stroke's audio at the velocity of its level. Replaces whatever the cell held.
+ * @param {string} trackId The ID of the track.
+ * @param {number} columnIndex The column of the cell.
+ * @param {{soundType: string, velocity: string}} cellState The cell's sound type and velocity level.
+ * @returns {boolean} True if the hit was placed (false if the stroke's audio is missing).
+ */
+function placeHit(trackId, columnIndex, cellState) {
+    const audioData = getAudioDataForSound(trackId, cellState.soundType);
+    if (!audioData) {
+        return false;
+    }
+    player.addAudioToGrid(trackId, columnIndex, audioData, VELOCITY_LEVELS[cellState.velocity]);
+    return true;
+}
+
 /**
  * Updates the visual appearance of a track control cell based on its volume and mute state.
  * Uses a linear gradient to show volume percentage.
@@ -339,7 +1075,7 @@ function updateTrackControlCellVisuals(trackId, volume, isMuted) {
     const trackControlCell = document.querySelector(`.track-control-cell[data-track-id="${trackId}"]`);
     if (!trackControlCell) return;
 
-    const colors = instrumentColors[trackId];
+    const colors = getInstrument(trackId).colors;
     const darkColor = colors.dark;
     const lightColor = colors.light;
 
@@ -354,42 +1090,27 @@ function updateTrackControlCellVisuals(trackId, volume, isMuted) {
 }
 
 
+/**
+ * Marks the soloed tracks' control cells, and dims the ones silenced by another track's solo.
+ */
+function updateSoloVisuals() {
+    const soloedTracks = player.getSoloedTracks();
+    document.querySelectorAll('.track-control-cell').forEach(trackControlCell => {
+        const isSoloed = soloedTracks.includes(trackControlCell.dataset.trackId);
+        trackControlCell.classList.toggle('soloed', isSoloed);
+        trackControlCell.classList.toggle('solo-silenced', soloedTracks.length > 0 && !isSoloed);
+    });
+}
+
 // Updates the player component's grid data and re-renders the UI grid
 function updatePlayerGridDataAndRenderUI() {
     player.stop(); // Ensure player is stopped before updating grid data
 
-    // Clear all existing audio from player
-    player.getTracks().forEach(track => {
-        track.cells.clear();
-    });
+    player.clearGrid(); // Clear all existing audio from player
 
     // Add audio to player based on currentGridState
     currentGridState.forEach((trackCells, trackId) => {
-        trackCells.forEach((soundType, columnIndex) => {
-            let audioDataToPass;
-            if (soundType === 'combined') {
-                // For combined sound, pass an object with both open and slap buffers
-                const openBuffer = audioFiles[`${trackId}-open`];
-                const slapBuffer = audioFiles[`${trackId}-slap`];
-                if (openBuffer && slapBuffer) {
-                    // Pass an object with named properties for clarity in MultiTrackPlayer
-                    audioDataToPass = { open: openBuffer, slap: slapBuffer, slapMultiplier: SLAP_VOLUME_MULTIPLIER };
-                } else {
-                    console.error(`Cannot place combined sound: Missing required audio buffers for ${trackId}.`);
-                    return;
-                }
-            } else {
-                // For 'open' or 'slap', pass the single buffer
-                const singleBuffer = audioFiles[`${trackId}-${soundType}`];
-                if (singleBuffer) {
-                    audioDataToPass = singleBuffer;
-                } else {
-                    console.error(`Cannot place ${selectedSoundType} sound: Missing audio buffer for ${trackId}-${selectedSoundType}.`);
-                    return;
-                }
-            }
-            player.addAudioToGrid(trackId, columnIndex, audioDataToPass);
-        });
+        trackCells.forEach((cellState, columnIndex) => placeHit(trackId, columnIndex, cellState));
     });
     renderGrid(); // Re-render the UI grid to reflect currentGridState
 }
@@ -399,6 +1120,9 @@ function updatePlayerGridDataAndRenderUI() {
 function initializePlayer() {
     audioContext = new (window.AudioContext || window.webkitAudioContext)();
     player = new MultiTrackPlayer(audioContext);
+    player.setMasterLimiter({ enabled: ui.limiterToggle.checked }); // Combined hits go well above unity
+    player.setCountIn(parseInt(ui.countInSelector.value, 10));
+    ui.masterVolumeSlider.after(createLevelMeter('master'));
 
     // Set BPM slider min value here
     ui.bpmSlider.min = 30; // Set minimum BPM to 30
@@ -407,14 +1131,19 @@ function initializePlayer() {
     ui.timeNumeratorInput.value = player.getTimeSignature().numerator;
     ui.timeDenominatorInput.value = player.getTimeSignature().denominator;
     ui.subdivisionSelector.value = player.getSubdivisionNoteValue();
-
-    // Add initial tracks to the player (these are always present)
-    trackOrder.forEach(trackId => {
-        player.addTrack(trackId);
+    ui.patternMeasuresInput.value = player.getPatternLength();
+
+    // Save the groove presets in the player and offer them in the selector
+    Object.entries(GROOVE_PRESETS).forEach(([name, offsets]) => {
+        player.defineGroove(name, offsets);
+        const option = document.createElement('option');
+        option.value = name;
+        option.textContent = name;
+        ui.grooveSelector.appendChild(option);
     });
 
-    // Render the grid immediately on startup with default settings
-    renderGrid();
+    // Load the default kit: this adds a track per instrument and renders the sound selection and the grid
+    applyKit(DEFAULT_KIT);
 
     // Initial UI updates
     updateUIControls();
@@ -424,24 +1153,63 @@ function initializePlayer() {
     // Event Listeners for Player
     player.addEventListener('gridCellChanged', (e) => {
         // console.log('gridCellChanged event RECEIVED in app.js!', e.detail.columnIndex);
-        const { columnIndex } = e.detail;
-        updateActiveCellUI(columnIndex);
+        const { columnIndex, trackColumns } = e.detail;
+        if (columnIndex >= 0) {
+            ui.countInOverlay.hidden = true; // The count-in is over
+        }
+        updateActiveCellUI(columnIndex, trackColumns);
+        updatePositionDisplay(e.detail);
+        // Show the live tempo, which can follow the tempo map during playback
+        ui.bpmValue.textContent = Math.round(e.detail.bpm);
+    });
+    player.addEventListener('countInTick', (e) => {
+        ui.countInOverlay.textContent = e.detail.beat;
+        ui.countInOverlay.classList.toggle('final', e.detail.isFinal);
+        ui.countInOverlay.hidden = false;
     });
     player.addEventListener('stop', () => {
+        ui.countInOverlay.hidden = true;
         updateActiveCellUI(-1); // Clear active cell
         updateUIControls();
     });
+    player.addEventListener('positionChanged', (e) => {
+        // A seek while paused or stopped only cues the position, so show it here rather than waiting for playback
+        const { position } = e.detail;
+        updateActiveCellUI(position.columnIndex, position.trackColumns);
+        updatePositionDisplay(position);
+        updateUIControls();
+    });
     player.addEventListener('play', () => updateUIControls());
-    player.addEventListener('pause', () => updateUIControls());
+    player.addEventListener('pause', (e) => {
+        ui.countInOverlay.hidden = true;
+        // The scheduler runs ahead of what is heard; show the cell playback stopped in
+        updateActiveCellUI(e.detail.position.columnIndex, e.detail.position.trackColumns);
+        updatePositionDisplay(e.detail.position);
+        updateUIControls();
+    });
     player.addEventListener('bpmChanged', (e) => {
         ui.bpmValue.textContent = e.detail.bpm;
         ui.bpmSlider.value = e.detail.bpm;
         updateUIControls();
     });
+    player.addEventListener('levels', (e) => updateLevelMeters(e.detail));
+
+    player.addEventListener('masterClipped', (e) => {
+        ui.clipIndicator.textContent = `Clips: ${e.detail.count}`;
+        ui.clipIndicator.classList.add('clipping');
+    });
+
     player.addEventListener('masterVolumeChanged', (e) => {
         ui.masterVolumeValue.textContent = `${Math.round(e.detail.volume * 100)}%`;
         ui.masterVolumeSlider.value = Math.round(e.detail.volume * 100);
     });
+    player.addEventListener('swingChanged', (e) => {
+        ui.swingValue.textContent = `${Math.round(e.detail.swing * 100)}%`;
+        ui.swingSlider.value = Math.round(e.detail.swing * 100);
+    });
+    player.addEventListener('grooveApplied', (e) => {
+        ui.grooveSelector.value = e.detail.name || '';
+    });
     player.addEventListener('loopingChanged', (e) => {
         ui.loopToggle.checked = e.detail.loop;
     });
@@ -451,31 +1219,60 @@ function initializePlayer() {
         trackLastVolumes.set(trackId, volume); // Keep track of last volume
         updateTrackControlCellVisuals(trackId, volume, trackMuteStates.get(trackId));
     });
+    player.addEventListener('trackSoloChanged', updateSoloVisuals);
     // Listen for track mute changes from player
     player.addEventListener('trackMuteChanged', (e) => {
         const { trackId, isMuted } = e.detail;
         trackMuteStates.set(trackId, isMuted);
-        updateTrackControlCellVisuals(trackId, player.getTracks().get(trackId)?.gainNode?.gain?.value || 1.0, isMuted);
+        updateTrackControlCellVisuals(trackId, trackLastVolumes.get(trackId), isMuted);
     });
 }
 
 // --- UI Interaction and Updates ---
-function updateActiveCellUI(newColumnIndex) {
+/**
+ * Shows the current section, repeat and measure from a gridCellChanged event detail.
+ * @param {{columnIndex: number, measure: number, section: string|null, sectionRepeat: number, arrangementIndex: number}} detail
+ */
+function updatePositionDisplay(detail) {
+    if (detail.columnIndex < 0) {
+        ui.positionDisplay.textContent = '';
+        return;
+    }
+    const measureText = `Measure ${detail.measure + 1}/${player.getPatternLength()}`;
+    if (detail.section === null) {
+        ui.positionDisplay.textContent = measureText;
+        return;
+    }
+    const entry = player.getArrangement()[detail.arrangementIndex];
+    const repeats = entry ? entry.repeats : 1;
+    ui.positionDisplay.textContent = `${detail.section} (${detail.sectionRepeat + 1}/${repeats}) · ${measureText}`;
+}
+
+/**
+ * Highlights the column being played.
+ * @param {number} newColumnIndex The pattern column, or -1 to clear the highlight.
+ * @param {Object<string, number>} [trackColumns] The column being played by each track that has its own cycle.
+ */
+function updateActiveCellUI(newColumnIndex, trackColumns = {}) {
     // console.log(`updateActiveCellUI called with index: ${newColumnIndex}`);
     // Remove 'active' class from all cells
-    document.querySelectorAll('.grid-cell.active').forEach(cell => {
+    document.querySelectorAll('.grid-cell.active, .ruler-cell.active').forEach(cell => {
         cell.classList.remove('active');
     });
 
     if (newColumnIndex >= 0) {
-        // Add 'active' class to cells in the new active column
-        const cellsToHighlight = document.querySelectorAll(`.grid-cell[data-column-index="${newColumnIndex}"]`);
+        // Add 'active' class to cells in the new active column; tracks with their own cycle are at their own column
+        const cellsToHighlight = Array.from(document.querySelectorAll(`.grid-cell[data-column-index="${newColumnIndex}"], .ruler-cell[data-column-index="${newColumnIndex}"]`))
+            .filter(cell => !(cell.dataset.trackId in trackColumns));
+        Object.entries(trackColumns).forEach(([trackId, columnIndex]) => {
+            cellsToHighlight.push(...document.querySelectorAll(`.grid-cell[data-track-id="${trackId}"][data-column-index="${columnIndex}"]`));
+        });
         // console.log(`Found ${cellsToHighlight.length} cells for column ${newColumnIndex}`);
         cellsToHighlight.forEach(cell => {
             cell.classList.add('active');
         });
         // Scroll the grid to keep the active column in view if needed
-        const activeCell = document.querySelector(`.grid-cell[data-column-index="${newColumnIndex}"]`);
+        const activeCell = document.querySelector(`.ruler-cell[data-column-index="${newColumnIndex}"]`);
         if (activeCell) {
             const gridContainer = ui.gridContainer;
             const cellLeft = activeCell.offsetLeft;
@@ -495,32 +1292,40 @@ function updateActiveCellUI(newColumnIndex) {
 function updateUIControls() {
     const status = player.getStatus();
     const isPlayingOrPaused = status.isPlaying || status.isPaused;
-    const areFilesLoaded = Object.keys(audioFiles).length === EXPECTED_FILE_NAMES.length;
+    const areFilesLoaded = hasLoadedSamples();
 
     // console.log(`updateUIControls: isPlaying=${status.isPlaying}, isPaused=${status.isPaused}, areFilesLoaded=${areFilesLoaded}`);
 
     // Playback controls
     ui.playBtn.disabled = status.isPlaying || !areFilesLoaded;
     ui.pauseBtn.disabled = !status.isPlaying;
-    ui.stopBtn.disabled = !isPlayingOrPaused;
+    ui.stopBtn.disabled = !isPlayingOrPaused && player.getPosition().seconds === 0; // Stop also clears a cued position
+    ui.exportWavBtn.disabled = !areFilesLoaded; // Offline rendering does not disturb live playback
+    ui.exportStemsBtn.disabled = !areFilesLoaded;
 
     // Grid settings controls - these can be adjusted even if files are not loaded
-    ui.bpmSlider.disabled = isPlayingOrPaused || !areFilesLoaded; // BPM still needs files to affect playback
+    ui.bpmSlider.disabled = !areFilesLoaded; // BPM still needs files to affect playback; it can change while playing
     ui.timeNumeratorInput.disabled = isPlayingOrPaused;
     ui.timeDenominatorInput.disabled = isPlayingOrPaused;
     ui.subdivisionSelector.disabled = isPlayingOrPaused;
+    ui.patternMeasuresInput.disabled = isPlayingOrPaused;
+    ui.arrangementInput.disabled = isPlayingOrPaused;
+    ui.trackCyclesInput.disabled = isPlayingOrPaused;
     ui.applyGridSettingsBtn.disabled = isPlayingOrPaused;
-    ui.clearGridBtn.disabled = isPlayingOrPaused; // Clear grid can be done visually even without files
+    ui.clearGridBtn.disabled = false; // Clear grid can be done visually even without files, and while playing
+    ui.loadKitBtn.disabled = isPlayingOrPaused;
+    ui.addInstrumentBtn.disabled = isPlayingOrPaused;
 
     // Track volume sliders (no longer separate, handled by smart cells)
     // document.querySelectorAll('.track-volume-control input[type="range"]').forEach(slider => {
     //     slider.disabled = !areFilesLoaded; // Only enable if files are loaded
     // });
 
-    // Sound selection symbols
-    ui.soundSymbols.forEach(symbol => {
-        symbol.classList.toggle('disabled', !areFilesLoaded);
-        symbol.style.cursor = areFilesLoaded ? 'pointer' : 'not-allowed';
+    // Sound selection symbols: a stroke can be placed once some instrument's samples for it are loaded
+    ui.soundPalette.querySelectorAll('.sound-symbol').forEach(symbol => {
+        const isAvailable = trackOrder.some(trackId => isStrokeLoaded(trackId, symbol.dataset.soundType));
+        symbol.classList.toggle('disabled', !isAvailable);
+        symbol.style.cursor = isAvailable ? 'pointer' : 'not-allowed';
     });
     // Grid cells should also be disabled for clicks if files not loaded
     document.querySelectorAll('.grid-cell').forEach(cell => {
@@ -529,115 +1334,392 @@ function updateUIControls() {
 }
 
 // --- Sound Selection Logic ---
-ui.soundSymbols.forEach(symbol => {
-    symbol.addEventListener('click', (event) => {
-        // Find the actual sound-symbol div, not the caption if clicked
-        const targetSymbol = event.currentTarget.closest('.sound-symbols').querySelector('.sound-symbol');
-        if (!targetSymbol) return; // Should not happen if structure is correct
-
-        if (!Object.keys(audioFiles).length === EXPECTED_FILE_NAMES.length) {
-            console.warn("Please load all audio files first.");
-            return;
-        }
+function handleSoundSymbolClick(event) {
+    // Find the actual sound-symbol div, not the caption if clicked
+    const targetSymbol = event.currentTarget.closest('.sound-symbols').querySelector('.sound-symbol');
+    if (!targetSymbol) return; // Should not happen if structure is correct
 
-        const type = targetSymbol.dataset.soundType;
-        if (selectedSoundType === type) {
-            // Deselect if already selected
-            selectedSoundType = null;
-            document.querySelectorAll('.sound-symbol').forEach(s => s.classList.remove('selected')); // Deselect all
-        } else {
-            // Deselect others and select this one
-            document.querySelectorAll('.sound-symbol').forEach(s => s.classList.remove('selected'));
-            selectedSoundType = type;
-            targetSymbol.classList.add('selected');
-        }
-    });
-});
+    if (targetSymbol.classList.contains('disabled')) {
+        console.warn("Please load the audio files for this stroke first.");
+        return;
+    }
+
+    const type = targetSymbol.dataset.soundType;
+    if (selectedSoundType === type) {
+        // Deselect if already selected
+        selectedSoundType = null;
+        document.querySelectorAll('.sound-symbol').forEach(s => s.classList.remove('selected')); // Deselect all
+    } else {
+        // Deselect others and select this one
+        document.querySelectorAll('.sound-symbol').forEach(s => s.classList.remove('selected'));
+        selectedSoundType = type;
+        targetSymbol.classList.add('selected');
+    }
+}
 
 // --- Grid Cell Click Logic ---
 function handleGridCellClick(event) {
-    if (!Object.keys(audioFiles).length === EXPECTED_FILE_NAMES.length) {
-        console.warn("Please load all audio files first.");
-        return;
-    }
-    if (player.getStatus().isPlaying || player.getStatus().isPaused) {
-        console.warn("Cannot modify grid while playing or paused. Please stop the player first.");
+    if (!hasLoadedSamples()) {
+        console.warn("Please load some audio files first.");
         return;
     }
+    // Edits are allowed while playing or paused: the player picks them up on the next pass
 
     const cell = event.currentTarget;
     const trackId = cell.dataset.trackId;
     const columnIndex = parseInt(cell.dataset.columnIndex, 10);
+    const cellState = currentGridState.get(trackId)?.get(columnIndex);
 
-    if (selectedSoundType) {
-        const currentSoundTypeInCell = currentGridState.get(trackId)?.get(columnIndex);
+    if (event.shiftKey) {
+        // Shift-click cycles the velocity of a placed hit: normal -> accent -> ghost
+        if (!cellState) {
+            return;
+        }
+        cellState.velocity = VELOCITY_CYCLE[(VELOCITY_CYCLE.indexOf(cellState.velocity) + 1) % VELOCITY_CYCLE.length];
+        player.setCellVelocity(trackId, columnIndex, VELOCITY_LEVELS[cellState.velocity]);
+        renderCellContent(cell, cellState);
+        console.log(`Set ${trackId} at column ${columnIndex} to ${cellState.velocity}`);
+        return;
+    }
 
-        if (currentSoundTypeInCell === selectedSoundType) {
+    if (selectedSoundType) {
+        if (cellState && cellState.soundType === selectedSoundType) {
             // If same symbol clicked, remove it
             currentGridState.get(trackId).delete(columnIndex);
             player.removeAudioFromGrid(trackId, columnIndex); // Remove from player
-            cell.classList.remove('filled');
-            cell.innerHTML = ''; // Clear symbol
+            renderCellContent(cell, undefined); // Clear symbol
             console.log(`Removed ${selectedSoundType} from ${trackId} at column ${columnIndex}`);
         } else {
-            // Place new symbol (or replace existing different one)
-            currentGridState.get(trackId).set(columnIndex, selectedSoundType);
-            
-            let audioDataToPass;
-            if (selectedSoundType === 'combined') {
-                const openBuffer = audioFiles[`${trackId}-open`];
-                const slapBuffer = audioFiles[`${trackId}-slap`];
-                if (openBuffer && slapBuffer) {
-                    // Pass an object with named properties for clarity in MultiTrackPlayer
-                    audioDataToPass = { open: openBuffer, slap: slapBuffer, slapMultiplier: SLAP_VOLUME_MULTIPLIER };
-                } else {
-                    console.error(`Cannot place combined sound: Missing required audio buffers for ${trackId}.`);
-                    return;
-                }
-            } else {
-                const singleBuffer = audioFiles[`${trackId}-${selectedSoundType}`];
-                if (singleBuffer) {
-                    audioDataToPass = singleBuffer;
-                } else {
-                    console.error(`Cannot place ${selectedSoundType} sound: Missing audio buffer for ${trackId}-${selectedSoundType}.`);
-                    return;
-                }
+            // Place new symbol (or replace existing different one, keeping its velocity)
+            const newCellState = { soundType: selectedSoundType, velocity: cellState ? cellState.velocity : 'normal' };
+            if (!placeHit(trackId, columnIndex, newCellState)) {
+                return;
             }
-
-            player.addAudioToGrid(trackId, columnIndex, audioDataToPass); // Add to player
-            cell.classList.add('filled');
-            cell.innerHTML = ''; // Clear previous symbol/text
-            const symbolDiv = document.createElement('div');
-            symbolDiv.classList.add('cell-symbol', selectedSoundType);
-            cell.appendChild(symbolDiv);
+            currentGridState.get(trackId).set(columnIndex, newCellState);
+            renderCellContent(cell, newCellState);
             console.log(`Placed ${selectedSoundType} on ${trackId} at column ${columnIndex}`);
         }
     } else {
-        console.log("No sound type selected. Click a symbol (circle/triangle/combined) first.");
+        console.log("No sound type selected. Click one of the kit's stroke symbols first.");
     }
 }
 
-// --- Clear Grid Logic ---
-function handleClearGrid() {
-    if (player.getStatus().isPlaying || player.getStatus().isPaused) {
-        console.warn("Cannot clear grid while playing or paused. Please stop the player first.");
+// --- Arrangement Logic ---
+/**
+ * Parses the arrangement text field into section definitions and arrangement entries.
+ * Format: comma-separated "name:startMeasure[-endMeasure][xRepeats]" with 1-based measures,
+ * e.g. "intro:1, A:2-3x4, llamada:4". A name may appear more than once if its measure range is the same.
+ * @param {string} text The arrangement text.
+ * @returns {{sections: Map<string, {startMeasure: number, measureCount: number}>, arrangement: Array<{section: string, repeats: number}>}|null}
+ *          The parsed arrangement (0-based measures), or null if the text is invalid.
+ */
+function parseArrangement(text) {
+    const sections = new Map();
+    const arrangement = [];
+    const entries = text.split(',').map(entry => entry.trim()).filter(entry => entry.length > 0);
+
+    for (const entry of entries) {
+        const match = entry.match(/^([^:]+):\s*(\d+)(?:\s*-\s*(\d+))?(?:\s*[xX*]\s*(\d+))?$/);
+        if (!match) {
+            console.error(`Invalid arrangement entry '${entry}'. Expected name:start[-end][xRepeats].`);
+            return null;
+        }
+        const name = match[1].trim();
+        const startMeasure = parseInt(match[2], 10) - 1;
+        const endMeasure = match[3] !== undefined ? parseInt(match[3], 10) - 1 : startMeasure;
+        const repeats = match[4] !== undefined ? parseInt(match[4], 10) : 1;
+        if (startMeasure < 0 || endMeasure < startMeasure || repeats <= 0) {
+            console.error(`Invalid measure range or repeat count in arrangement entry '${entry}'.`);
+            return null;
+        }
+
+        const section = { startMeasure, measureCount: endMeasure - startMeasure + 1 };
+        const existing = sections.get(name);
+        if (existing && (existing.startMeasure !== section.startMeasure || existing.measureCount !== section.measureCount)) {
+            console.error(`Section '${name}' is used with two different measure ranges.`);
+            return null;
+        }
+        sections.set(name, section);
+        arrangement.push({ section: name, repeats });
+    }
+    return { sections, arrangement };
+}
+
+/**
+ * Parses the track cycles field: comma-separated "track:cells[/subdivision]" entries, e.g. "okonkolo:12/12"
+ * for 12 triplet eighths. Tracks not listed follow the pattern.
+ * @param {string} text The field's text.
+ * @returns {Map<string, {columns: number, subdivisionNoteValue: number}>|null} The cycles by track, or null if invalid.
+ */
+function parseTrackCycles(text) {
+    const cycles = new Map();
+    const entries = text.split(',').map(entry => entry.trim()).filter(entry => entry.length > 0);
+
+    for (const entry of entries) {
+        const match = entry.match(/^([^:]+):\s*(\d+)(?:\s*\/\s*(\d+))?$/);
+        if (!match) {
+            console.error(`Invalid track cycle '${entry}'. Expected track:cells[/subdivision].`);
+            return null;
+        }
+        const trackId = match[1].trim();
+        if (!trackOrder.includes(trackId)) {
+            console.error(`Unknown track '${trackId}' in track cycles.`);
+            return null;
+        }
+        const columns = parseInt(match[2], 10);
+        const subdivisionNoteValue = match[3] !== undefined ? parseInt(match[3], 10) : parseInt(ui.subdivisionSelector.value, 10);
+        if (columns <= 0 || subdivisionNoteValue <= 0) {
+            console.error(`Invalid cell count or subdivision in track cycle '${entry}'.`);
+            return null;
+        }
+        cycles.set(trackId, { columns, subdivisionNoteValue });
+    }
+    return cycles;
+}
+
+/**
+ * Applies the track cycles field to the player.
+ * @returns {boolean} True if the cycles were applied.
+ */
+function applyTrackCycles() {
+    const cycles = parseTrackCycles(ui.trackCyclesInput.value);
+    if (!cycles) {
+        return false;
+    }
+    trackOrder.forEach(trackId => {
+        const cycle = cycles.get(trackId);
+        player.setTrackCycle(trackId, cycle ? cycle.columns : null, cycle ? cycle.subdivisionNoteValue : undefined);
+    });
+    return true;
+}
+
+/**
+ * Creates a small vertical level meter: a bar for the peak level and a line for the held peak.
+ * @param {string} meterKey 'master' or a track ID, as keyed in the player's levels.
+ * @returns {HTMLElement} The meter element.
+ */
+function createLevelMeter(meterKey) {
+    const meter = document.createElement('div');
+    meter.classList.add('level-meter');
+    meter.dataset.meterKey = meterKey;
+    const fill = document.createElement('div');
+    fill.classList.add('level-meter-fill');
+    const hold = document.createElement('div');
+    hold.classList.add('level-meter-hold');
+    meter.append(fill, hold);
+    return meter;
+}
+
+/**
+ * Converts a level in dBFS to a meter height in percent.
+ * @param {number} db The level in dBFS (-Infinity for silence).
+ * @returns {number} 0 to 100.
+ */
+function meterPercent(db) {
+    return Math.max(0, Math.min(100, (db - METER_FLOOR_DB) / -METER_FLOOR_DB * 100));
+}
+
+/**
+ * Updates every level meter from a 'levels' event of the player.
+ * @param {{master: Object, tracks: Object<string, Object>}} levels The levels.
+ */
+function updateLevelMeters(levels) {
+    document.querySelectorAll('.level-meter').forEach(meter => {
+        const level = meter.dataset.meterKey === 'master' ? levels.master : levels.tracks[meter.dataset.meterKey];
+        if (!level) {
+            return;
+        }
+        meter.querySelector('.level-meter-fill').style.height = `${meterPercent(level.peakDb)}%`;
+        meter.querySelector('.level-meter-hold').style.bottom = `${meterPercent(level.peakHoldDb)}%`;
+        meter.classList.toggle('over', level.peakHold >= 1);
+    });
+}
+
+/**
+ * Opens the insert effects panel for a track, showing its current settings.
+ * @param {string} trackId The track.
+ */
+function openInsertPanel(trackId) {
+    const inserts = player.getTrackInserts(trackId);
+    insertPanelTrackId = trackId;
+    ui.insertPanelTitle.textContent = `${getInstrument(trackId).name} FX:`;
+    ui.insertPan.value = Math.round(inserts.pan * 100);
+    ui.insertEqLow.value = inserts.eq.low;
+    ui.insertEqMid.value = inserts.eq.mid;
+    ui.insertEqHigh.value = inserts.eq.high;
+    ui.insertCompEnabled.checked = inserts.compressor.enabled;
+    ui.insertCompThreshold.value = inserts.compressor.threshold;
+    ui.insertCompRatio.value = inserts.compressor.ratio;
+    const sends = player.getTrackSends(trackId);
+    ui.insertReverbSend.value = Math.round(sends.reverb * 100);
+    ui.insertDelaySend.value = Math.round(sends.delay * 100);
+    ui.insertPanel.hidden = false;
+}
+
+/**
+ * Applies the insert effects panel to the track it was opened for.
+ */
+function applyInsertPanel() {
+    if (insertPanelTrackId === null) {
         return;
     }
+    player.setTrackPan(insertPanelTrackId, parseInt(ui.insertPan.value, 10) / 100);
+    player.setTrackEQ(insertPanelTrackId, {
+        low: parseInt(ui.insertEqLow.value, 10),
+        mid: parseInt(ui.insertEqMid.value, 10),
+        high: parseInt(ui.insertEqHigh.value, 10)
+    });
+    player.setTrackCompressor(insertPanelTrackId, {
+        enabled: ui.insertCompEnabled.checked,
+        threshold: parseInt(ui.insertCompThreshold.value, 10),
+        ratio: parseInt(ui.insertCompRatio.value, 10)
+    });
+    player.setTrackSend(insertPanelTrackId, 'reverb', parseInt(ui.insertReverbSend.value, 10) / 100);
+    player.setTrackSend(insertPanelTrackId, 'delay', parseInt(ui.insertDelaySend.value, 10) / 100);
+}
+
+/**
+ * Adds a play mode selector (poly / mono / choke) for each track, before the choke fade input,
+ * replacing the selectors of a previous kit.
+ */
+function renderPlayModeSelectors() {
+    ui.playModeControls.querySelectorAll('select[data-track-id]').forEach(selector => selector.parentElement.remove());
+    trackOrder.forEach(trackId => {
+        const label = document.createElement('label');
+        label.textContent = getInstrument(trackId).name;
+        const selector = document.createElement('select');
+        selector.dataset.trackId = trackId;
+        selector.innerHTML = '<option value="poly">Poly</option><option value="mono">Mono</option><option value="choke">Choke</option>';
+        selector.value = player.getTrackPlayMode(trackId).mode;
+        selector.addEventListener('change', () => applyPlayMode(trackId));
+        label.appendChild(selector);
+        ui.playModeControls.insertBefore(label, ui.chokeFadeInput.previousElementSibling);
+    });
+}
+
+/**
+ * Applies a track's play mode selector and the choke fade time to the player.
+ * @param {string} trackId The track.
+ */
+function applyPlayMode(trackId) {
+    const selector = ui.playModeControls.querySelector(`select[data-track-id="${trackId}"]`);
+    const fadeMs = parseInt(ui.chokeFadeInput.value, 10);
+    const fadeTime = isNaN(fadeMs) ? undefined : Math.max(0, Math.min(1000, fadeMs)) / 1000;
+    player.setTrackPlayMode(trackId, selector.value, { chokeGroup: CHOKE_GROUP, fadeTime });
+}
+
+/**
+ * Replaces the player's sections and arrangement with the ones parsed from the arrangement field.
+ * @returns {boolean} True if the arrangement was applied.
+ */
+function applyArrangement() {
+    const parsed = parseArrangement(ui.arrangementInput.value);
+    if (!parsed) {
+        return false;
+    }
+    player.setArrangement([]);
+    player.getSections().forEach((section, name) => player.removeSection(name));
+    parsed.sections.forEach((section, name) => player.defineSection(name, section.startMeasure, section.measureCount));
+    player.setArrangement(parsed.arrangement);
+    return true;
+}
+
+// --- Clear Grid Logic ---
+function handleClearGrid() {
     // No need to check !areFilesLoaded here, as clearing the visual grid is always possible.
+    // Clearing is allowed while playing: the player silences any hits already scheduled.
 
     // Clear the internal grid state
     currentGridState.forEach(trackCells => trackCells.clear());
 
-    // Stop player and clear its internal audio buffers
-    player.stop();
-    player.getTracks().forEach(track => track.cells.clear());
+    // Clear the player's internal audio buffers
+    player.getTracks().forEach((track, trackId) => {
+        Array.from(track.cells.keys()).forEach(columnIndex => player.removeAudioFromGrid(trackId, columnIndex));
+    });
 
-    // Re-render the grid UI to show it's empty
-    renderGrid();
+    // Empty the grid cells in place (re-rendering would try to re-apply grid settings while playing)
+    document.querySelectorAll('.grid-cell.filled').forEach(cell => {
+        cell.classList.remove('filled');
+        cell.innerHTML = '';
+    });
     console.log("Grid cleared.");
 }
 
 
+// --- WAV Export Logic ---
+/**
+ * Renders the sequence offline and downloads it as a WAV file.
+ */
+async function handleExportWav() {
+    const loops = parseInt(ui.exportLoopsInput.value, 10);
+    if (isNaN(loops) || loops <= 0) {
+        console.error("Invalid number of loops to export.");
+        return;
+    }
+
+    ui.exportWavBtn.disabled = true;
+    ui.loadingStatus.textContent = 'Rendering WAV...';
+    try {
+        const wavBlob = await player.renderToWav({ loops, tailSeconds: 2 });
+        if (!wavBlob) {
+            ui.loadingStatus.textContent = 'Nothing to export.';
+            return;
+        }
+        downloadBlob(wavBlob, `multitrack-${player.getBPM()}bpm-x${loops}.wav`);
+        ui.loadingStatus.textContent = 'WAV exported.';
+    } catch (e) {
+        console.error("Error rendering WAV:", e);
+        ui.loadingStatus.textContent = 'WAV export failed. See console for details.';
+    } finally {
+        updateUIControls();
+    }
+}
+
+/**
+ * Renders every track separately and downloads the stems as one ZIP archive.
+ */
+async function handleExportStems() {
+    const loops = parseInt(ui.exportLoopsInput.value, 10);
+    if (isNaN(loops) || loops <= 0) {
+        console.error("Invalid number of loops to export.");
+        return;
+    }
+
+    ui.exportStemsBtn.disabled = true;
+    ui.loadingStatus.textContent = 'Rendering stems...';
+    try {
+        const zipBlob = await player.renderStems({ loops, tailSeconds: 2, preFader: ui.exportPreFaderToggle.checked, bundle: 'zip' });
+        if (!zipBlob) {
+            ui.loadingStatus.textContent = 'Nothing to export.';
+            return;
+        }
+        downloadBlob(zipBlob, `multitrack-stems-${player.getBPM()}bpm-x${loops}.zip`);
+        ui.loadingStatus.textContent = 'Stems exported.';
+    } catch (e) {
+        console.error("Error rendering stems:", e);
+        ui.loadingStatus.textContent = 'Stem export failed. See console for details.';
+    } finally {
+        updateUIControls();
+    }
+}
+
+/**
+ * Offers a Blob to the user as a file download.
+ * @param {Blob} blob The file contents.
+ * @param {string} fileName The suggested file name.
+ */
+function downloadBlob(blob, fileName) {
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = fileName;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    URL.revokeObjectURL(url);
+}
+
+
 // --- Event Listeners for UI Controls ---
 ui.playBtn.addEventListener('click', () => {
     console.log(`Play button clicked. AudioContext state: ${audioContext.state}`); // Debugging log
@@ -677,23 +1759,136 @@ ui.masterVolumeSlider.addEventListener('input', (e) => {
     player.setMasterVolume(volume);
 });
 
+ui.limiterToggle.addEventListener('change', (e) => {
+    player.setMasterLimiter({ enabled: e.target.checked });
+});
+
+ui.clipIndicator.addEventListener('click', () => {
+    player.resetClipCount();
+    ui.clipIndicator.textContent = 'Clips: 0';
+    ui.clipIndicator.classList.remove('clipping');
+});
+
+ui.reverbReturnSlider.addEventListener('input', (e) => {
+    ui.reverbReturnValue.textContent = `${e.target.value}%`;
+    player.setReturnLevel('reverb', parseInt(e.target.value, 10) / 100);
+});
+
+ui.delayReturnSlider.addEventListener('input', (e) => {
+    ui.delayReturnValue.textContent = `${e.target.value}%`;
+    player.setReturnLevel('delay', parseInt(e.target.value, 10) / 100);
+});
+
+// Swing and groove apply at scheduling time, so they can change while playing
+ui.swingSlider.addEventListener('input', (e) => {
+    player.setSwing(parseInt(e.target.value, 10) / 100);
+});
+
+ui.grooveSelector.addEventListener('change', (e) => {
+    player.applyGroove(e.target.value || null);
+});
+
 ui.loopToggle.addEventListener('change', (e) => {
     player.setLooping(e.target.checked);
 });
 
+// The metronome can also be changed while playing
+ui.metronomeToggle.addEventListener('change', (e) => {
+    player.setMetronome({ enabled: e.target.checked });
+});
+
+ui.metronomeVolumeSlider.addEventListener('input', (e) => {
+    ui.metronomeVolumeValue.textContent = `${e.target.value}%`;
+    player.setMetronome({ volume: parseInt(e.target.value, 10) / 100 });
+});
+
+ui.countInSelector.addEventListener('change', (e) => {
+    player.setCountIn(parseInt(e.target.value, 10));
+});
+
+ui.metronomeBeatsInput.addEventListener('change', (e) => {
+    const beatsPerClick = parseInt(e.target.value, 10);
+    if (beatsPerClick >= 1) {
+        player.setMetronome({ beatsPerClick });
+    } else {
+        e.target.value = player.getMetronome().beatsPerClick;
+    }
+});
+
 ui.chooseFilesBtn.addEventListener('click', () => {
     ui.audioFileInput.click(); // Programmatically click the hidden file input
 });
 
 ui.audioFileInput.addEventListener('change', handleFileSelection);
 
+ui.slotFileInput.addEventListener('change', async () => {
+    const file = ui.slotFileInput.files[0];
+    ui.slotFileInput.value = ''; // Allow choosing the same file again
+    if (file && pendingSlotId !== null) {
+        await loadFileIntoSlot(pendingSlotId, file);
+        updateUIControls();
+    }
+    pendingSlotId = null;
+});
+
+// Files dropped anywhere else on the page are matched to the kit slots by name
+document.addEventListener('dragover', (e) => {
+    if (e.dataTransfer.types.includes('Files')) {
+        e.preventDefault();
+        document.body.classList.add('dragging-files');
+    }
+});
+document.addEventListener('dragleave', (e) => {
+    if (e.relatedTarget === null) { // Left the window
+        document.body.classList.remove('dragging-files');
+    }
+});
+document.addEventListener('drop', (e) => {
+    if (e.dataTransfer.files.length === 0) {
+        return;
+    }
+    e.preventDefault();
+    document.body.classList.remove('dragging-files');
+    loadFilesByName(Array.from(e.dataTransfer.files));
+});
+
+ui.loadKitBtn.addEventListener('click', () => {
+    ui.kitFileInput.click();
+});
+ui.kitFileInput.addEventListener('change', handleKitFileSelection);
+
+ui.saveKitBtn.addEventListener('click', () => {
+    const fileName = `${kit.name.toLowerCase().replace(/[^\w-]+/g, '-')}-kit.json`;
+    downloadBlob(new Blob([JSON.stringify(kit, null, 2)], { type: 'application/json' }), fileName);
+});
+
+ui.addInstrumentBtn.addEventListener('click', () => {
+    ui.instrumentForm.reset();
+    ui.instrumentError.textContent = '';
+    ui.instrumentColorInput.value = DEFAULT_INSTRUMENT_COLORS[kit.instruments.length % DEFAULT_INSTRUMENT_COLORS.length];
+    ui.instrumentDialog.showModal();
+});
+ui.instrumentForm.addEventListener('submit', (e) => {
+    // Keep the dialog open, showing why, if the instrument can't be added; Cancel closes it without checking
+    if (e.submitter && e.submitter.value === 'cancel') {
+        return;
+    }
+    const reason = addInstrumentFromDialog();
+    if (reason) {
+        e.preventDefault();
+        ui.instrumentError.textContent = reason;
+        return;
+    }
+    updateUIControls();
+});
+
 ui.applyGridSettingsBtn.addEventListener('click', () => {
     if (player.getStatus().isPlaying || player.getStatus().isPaused) {
         console.warn("Cannot change grid settings while playing or paused. Please stop the player first.");
         return;
     }
     // Check if files are loaded. If not, only update grid dimensions, not player data.
-    const areFilesLoaded = Object.keys(audioFiles).length === EXPECTED_FILE_NAMES.length;
+    const areFilesLoaded = hasLoadedSamples();
     if (!areFilesLoaded) {
         console.warn("Files not loaded yet. Grid dimensions updated, but no sounds will be placed.");
     }
@@ -701,17 +1896,27 @@ ui.applyGridSettingsBtn.addEventListener('click', () => {
     const newNumerator = parseInt(ui.timeNumeratorInput.value, 10);
     const newDenominator = parseInt(ui.timeDenominatorInput.value, 10);
     const newSubdivision = parseInt(ui.subdivisionSelector.value, 10);
+    const newPatternMeasures = parseInt(ui.patternMeasuresInput.value, 10);
 
     // Basic validation
     if (isNaN(newNumerator) || newNumerator <= 0 ||
         isNaN(newDenominator) || newDenominator <= 0 ||
-        isNaN(newSubdivision) || ![4, 8, 16, 32].includes(newSubdivision)) {
-        console.error("Invalid grid settings. Please check numerator, denominator, and subdivision.");
+        isNaN(newSubdivision) || newSubdivision <= 0 ||
+        isNaN(newPatternMeasures) || newPatternMeasures <= 0) {
+        console.error("Invalid grid settings. Please check numerator, denominator, subdivision, and measures.");
+        return;
+    }
+    // Tuplet subdivisions don't fit every meter: the measure must hold a whole number of cells
+    if ((newNumerator * newSubdivision) % newDenominator !== 0) {
+        console.error(`A ${newNumerator}/${newDenominator} measure can't be divided into whole cells of 1/${newSubdivision}. Please choose another subdivision.`);
         return;
     }
 
-    player.setTimeSignature(newNumerator, newDenominator);
-    player.setSubdivisionNoteValue(newSubdivision);
+    player.setTimeSignature(newNumerator, newDenominator, newSubdivision);
+    player.setPatternLength(newPatternMeasures);
+    if (!applyArrangement() || !applyTrackCycles()) {
+        return;
+    }
     
     // Only update player's internal grid data if files are loaded
     if (areFilesLoaded) {
@@ -723,6 +1928,19 @@ ui.applyGridSettingsBtn.addEventListener('click', () => {
 
 ui.clearGridBtn.addEventListener('click', handleClearGrid); // New event listener for clear button
 
+ui.chokeFadeInput.addEventListener('change', () => trackOrder.forEach(applyPlayMode));
+
+[ui.insertPan, ui.insertEqLow, ui.insertEqMid, ui.insertEqHigh, ui.insertCompEnabled, ui.insertCompThreshold, ui.insertCompRatio,
+    ui.insertReverbSend, ui.insertDelaySend]
+    .forEach(control => control.addEventListener('input', applyInsertPanel));
+ui.insertPanelClose.addEventListener('click', () => {
+    ui.insertPanel.hidden = true;
+    insertPanelTrackId = null;
+});
+
+ui.exportWavBtn.addEventListener('click', handleExportWav);
+ui.exportStemsBtn.addEventListener('click', handleExportStems);
+
 
 // Initialize the application when the DOM is ready
 document.addEventListener('DOMContentLoaded', initializePlayer);